@@ -12,8 +12,30 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const contractRoutes = require('./routes/contracts');
 const shipmentRoutes = require('./routes/shipments');
+const reservationRoutes = require('./routes/reservations');
+const returnRoutes = require('./routes/returns');
+const auditRoutes = require('./routes/audit');
+const alertRuleRoutes = require('./routes/alertRules');
+const thresholdPolicyRoutes = require('./routes/thresholdPolicies');
+const skuRoutes = require('./routes/skus');
+const outboxRoutes = require('./routes/outbox');
+const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const serviceAccountRoutes = require('./routes/serviceAccounts');
+const webhookRoutes = require('./routes/webhooks');
+const presenceRoutes = require('./routes/presence');
 const { authenticateToken } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
 const { setupSocketHandlers } = require('./socket/handlers');
+const { NODE_ID, setupRedisAdapter, getAdapterMode } = require('./socket/cluster');
+const { startReservationSweeper } = require('./services/reservationService');
+const { startOutboxWorker } = require('./services/outboxService');
+const { startWebhookWorker } = require('./services/webhookService');
+const { startContractLifecycleJob } = require('./services/contractLifecycleService');
+const { startAllowanceScheduler } = require('./services/allowanceService');
+const { seedDefaultRoles } = require('./services/accessService');
+const { seedDefaultPolicy } = require('./services/thresholdPolicyService');
+const { getLockMode } = require('./services/lockService');
 
 const app = express();
 const server = createServer(app);
@@ -35,13 +57,26 @@ redisClient.on('error', (err) => {
 
 redisClient.connect().catch(console.error);
 
+// Client IPs (for per-IP rate limits) come from X-Forwarded-For behind a load balancer
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(compression());
 app.use(morgan('combined'));
 app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:5173",
-  credentials: true
+  credentials: true,
+  exposedHeaders: [
+    'Idempotent-Replayed',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy',
+    'Retry-After'
+  ]
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -52,8 +87,20 @@ app.set('redis', redisClient);
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/contracts', authenticateToken, contractRoutes);
-app.use('/api/shipments', authenticateToken, shipmentRoutes);
+app.use('/api/contracts', authenticateToken, rateLimit('read'), contractRoutes);
+app.use('/api/shipments', authenticateToken, rateLimit('read'), shipmentRoutes);
+app.use('/api/reservations', authenticateToken, rateLimit('read'), reservationRoutes);
+app.use('/api/returns', authenticateToken, rateLimit('read'), returnRoutes);
+app.use('/api/audit', authenticateToken, rateLimit('read'), auditRoutes);
+app.use('/api/alert-rules', authenticateToken, rateLimit('read'), alertRuleRoutes);
+app.use('/api/threshold-policies', authenticateToken, rateLimit('read'), thresholdPolicyRoutes);
+app.use('/api/skus', authenticateToken, rateLimit('read'), skuRoutes);
+app.use('/api/outbox', authenticateToken, rateLimit('read'), outboxRoutes);
+app.use('/api/users', authenticateToken, rateLimit('read'), userRoutes);
+app.use('/api/roles', authenticateToken, rateLimit('read'), roleRoutes);
+app.use('/api/service-accounts', authenticateToken, rateLimit('read'), serviceAccountRoutes);
+app.use('/api/webhooks', authenticateToken, rateLimit('read'), webhookRoutes);
+app.use('/api/presence', authenticateToken, rateLimit('read'), presenceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -62,6 +109,9 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     redis: redisClient.isReady ? 'connected' : 'disconnected',
+    locks: getLockMode(redisClient),
+    socketAdapter: getAdapterMode(),
+    node: NODE_ID,
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
   });
 });
@@ -80,7 +130,8 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Socket.IO setup
+// Socket.IO setup; the Redis adapter relays emits between API nodes
+setupRedisAdapter(io, redisClient);
 setupSocketHandlers(io, redisClient);
 
 // MongoDB connection
@@ -88,8 +139,15 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pbr-batte
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('Connected to MongoDB');
+  await seedDefaultRoles();
+  await seedDefaultPolicy();
+  startReservationSweeper(io, redisClient);
+  startOutboxWorker();
+  startWebhookWorker();
+  startContractLifecycleJob(io);
+  startAllowanceScheduler(io);
 })
 .catch((err) => {
   console.error('MongoDB connection error:', err);
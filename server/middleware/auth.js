@@ -1,18 +1,34 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { attachRole, canAccessContractId } = require('../services/accessService');
+const { MFA_PRIVILEGED_PERMISSIONS, isMfaRequired } = require('../services/mfaService');
+const { authenticateApiKey, requiredScope, hasResourceScope } = require('../services/apiKeyService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
 
 // Generate JWT token
 const generateToken = (payload) => {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
-// Generate refresh token
+// Generate refresh token (unique per issue so rotated tokens never collide)
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRES_IN });
+  return jwt.sign({ ...payload, type: 'refresh' }, JWT_SECRET, {
+    expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID()
+  });
+};
+
+// Generate the short-lived token that proves the password step of a two-factor login
+const generateMfaChallengeToken = (payload) => {
+  return jwt.sign({ ...payload, type: 'mfa_challenge' }, JWT_SECRET, {
+    expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+    jwtid: crypto.randomUUID()
+  });
 };
 
 // Verify JWT token
@@ -20,10 +36,93 @@ const verifyToken = (token) => {
   return jwt.verify(token, JWT_SECRET);
 };
 
-// Authentication middleware
+const API_KEY_ERRORS = {
+  API_KEY_INVALID: 'Invalid API key',
+  API_KEY_REVOKED: 'API key has been revoked',
+  API_KEY_EXPIRED: 'API key has expired'
+};
+
+// Authenticate a service account by API key (X-API-Key or "Authorization: ApiKey ...")
+const authenticateServiceAccount = async (req, res, next, rawKey) => {
+  try {
+    const apiKey = await authenticateApiKey(rawKey, req.ip);
+    const user = await User.findById(apiKey.serviceAccount).select('-password -refreshTokens');
+
+    if (!user || !user.isActive || user.accountType !== 'SERVICE') {
+      return res.status(401).json({
+        error: 'Service account is disabled',
+        code: 'API_KEY_INVALID'
+      });
+    }
+
+    // Reads need <resource>:read; writes are checked per permission in requirePermission
+    const allowed = req.method === 'GET'
+      ? apiKey.scopes.includes(requiredScope(req, 'read'))
+      : hasResourceScope(req, apiKey);
+
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'API key is not scoped for this endpoint',
+        code: 'API_KEY_SCOPE_DENIED'
+      });
+    }
+
+    await attachRole(user);
+    if (apiKey.contractIds.length > 0) {
+      user.$locals.apiKeyContracts = apiKey.contractIds;
+    }
+
+    req.user = user;
+    req.userId = user._id;
+    req.userRole = user.role;
+    req.apiKey = apiKey;
+
+    next();
+  } catch (error) {
+    if (API_KEY_ERRORS[error.message]) {
+      return res.status(401).json({
+        error: API_KEY_ERRORS[error.message],
+        code: error.message
+      });
+    }
+
+    console.error('API key auth error:', error);
+    return res.status(500).json({
+      error: 'Authentication error',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
+// Why the user behind an access token issued at `issuedAt` (JWT iat, seconds)
+// may no longer act, or null. Shared by the HTTP middleware and Socket.IO.
+const rejectTokenUser = (user, issuedAt) => {
+  if (!user || !user.isActive) {
+    return { status: 401, error: 'Invalid or expired token', code: 'TOKEN_INVALID' };
+  }
+
+  // Access tokens issued before a password change are no longer honoured
+  if (user.passwordChangedAt && issuedAt < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    return { status: 401, error: 'Token revoked by password change', code: 'TOKEN_REVOKED' };
+  }
+
+  if (user.isLocked) {
+    return { status: 423, error: 'Account is temporarily locked', code: 'ACCOUNT_LOCKED' };
+  }
+
+  return null;
+};
+
+// Authentication middleware: user JWTs, or API keys for service accounts
 const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+
+  const rawApiKey = req.headers['x-api-key'] || (authHeader?.startsWith('ApiKey ') ? authHeader.slice(7) : null);
+  if (rawApiKey) {
+    return authenticateServiceAccount(req, res, next, rawApiKey);
+  }
+
   try {
-    const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
@@ -34,23 +133,27 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
-    
-    const user = await User.findById(decoded.userId).select('-password -refreshTokens');
-    
-    if (!user || !user.isActive) {
+
+    // Refresh and MFA challenge tokens share the signing secret but must never grant API access
+    if (decoded.type) {
       return res.status(401).json({ 
-        error: 'Invalid or expired token',
+        error: 'Invalid token',
         code: 'TOKEN_INVALID'
       });
     }
+    
+    const user = await User.findById(decoded.userId).select('-password -refreshTokens');
 
-    if (user.isLocked) {
-      return res.status(423).json({ 
-        error: 'Account is temporarily locked',
-        code: 'ACCOUNT_LOCKED'
+    const rejected = rejectTokenUser(user, decoded.iat);
+    if (rejected) {
+      return res.status(rejected.status).json({
+        error: rejected.error,
+        code: rejected.code
       });
     }
 
+    await attachRole(user);
+
     req.user = user;
     req.userId = user._id;
     req.userRole = user.role;
@@ -102,9 +205,11 @@ const authorize = (...roles) => {
   };
 };
 
-// Permission-based authorization
-const requirePermission = (permission) => {
-  return (req, res, next) => {
+// Permission-based authorization.
+// With options.contract (req => business contract ID), the permission must also
+// hold on that contract under its access list.
+const requirePermission = (permission, options = {}) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ 
         error: 'Authentication required',
@@ -119,6 +224,40 @@ const requirePermission = (permission) => {
       });
     }
 
+    if (req.apiKey && !req.apiKey.scopes.includes(requiredScope(req, permission))) {
+      return res.status(403).json({
+        error: `API key scope '${requiredScope(req, permission)}' required`,
+        code: 'API_KEY_SCOPE_DENIED'
+      });
+    }
+
+    // Privileged actions stay off-limits until policy-mandated 2FA is enrolled
+    if (MFA_PRIVILEGED_PERMISSIONS.includes(permission) && isMfaRequired(req.user) && !req.user.mfa?.enabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be enabled for this action',
+        code: 'MFA_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    const contractId = options.contract?.(req);
+
+    if (contractId) {
+      try {
+        if (!(await canAccessContractId(req.user, String(contractId), permission))) {
+          return res.status(403).json({
+            error: `Permission '${permission}' required on contract ${contractId}`,
+            code: 'CONTRACT_ACCESS_DENIED'
+          });
+        }
+      } catch (error) {
+        console.error('Contract access check error:', error);
+        return res.status(500).json({
+          error: 'Authorization error',
+          code: 'AUTH_ERROR'
+        });
+      }
+    }
+
     next();
   };
 };
@@ -126,11 +265,14 @@ const requirePermission = (permission) => {
 module.exports = {
   generateToken,
   generateRefreshToken,
+  generateMfaChallengeToken,
   verifyToken,
   authenticateToken,
+  rejectTokenUser,
   authorize,
   requirePermission,
   JWT_SECRET,
   JWT_EXPIRES_IN,
-  REFRESH_TOKEN_EXPIRES_IN
+  REFRESH_TOKEN_EXPIRES_IN,
+  MFA_CHALLENGE_EXPIRES_IN
 };
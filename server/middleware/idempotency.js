@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || '60');
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted keys, so equal payloads hash equally regardless of key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (body) => {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+};
+
+const leaseFromNow = () => new Date(Date.now() + IDEMPOTENCY_LEASE_SECONDS * 1000);
+
+// Claim a key for this request. Resolves to { claimToken } when claimed, or to
+// { existing } with the record holding the key. Only the holder of claimToken
+// can renew the lease or settle the record.
+const claimKey = async (filter, requestHash) => {
+  const now = Date.now();
+  const expiresAt = new Date(now + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+  const leaseUntil = leaseFromNow();
+  const claimToken = crypto.randomUUID();
+
+  try {
+    await IdempotencyRecord.create({ ...filter, requestHash, expiresAt, leaseUntil, claimToken });
+    return { claimToken };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyRecord.findOne(filter);
+
+  // Expired but not yet purged by the TTL monitor: start a fresh window
+  if (existing && existing.expiresAt <= now) {
+    await IdempotencyRecord.deleteOne({ _id: existing._id });
+    return claimKey(filter, requestHash);
+  }
+
+  // The request holding the key stopped renewing its lease, so it died mid-flight:
+  // hand the key to this retry; of several concurrent retries only one wins it
+  if (existing && existing.status === 'IN_PROGRESS' && existing.requestHash === requestHash &&
+    (!existing.leaseUntil || existing.leaseUntil <= now)) {
+    const reclaimed = await IdempotencyRecord.findOneAndUpdate(
+      { _id: existing._id, status: 'IN_PROGRESS', claimToken: existing.claimToken ?? null },
+      { $set: { leaseUntil, expiresAt, claimToken } }
+    );
+
+    if (reclaimed) return { claimToken };
+    const current = await IdempotencyRecord.findOne(filter);
+    return current ? { existing: current } : claimKey(filter, requestHash);
+  }
+
+  return { existing };
+};
+
+// Keep renewing the lease every third of its length while the request runs
+const startLeaseRenewal = (filter, claimToken) => {
+  const timer = setInterval(() => {
+    IdempotencyRecord.updateOne(
+      { ...filter, status: 'IN_PROGRESS', claimToken },
+      { $set: { leaseUntil: leaseFromNow() } }
+    ).catch(error => console.error('Idempotency lease renewal failed:', error));
+  }, Math.max(Math.floor(IDEMPOTENCY_LEASE_SECONDS * 1000 / 3), 1000));
+
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+// Idempotency-Key support (header, or `externalReference` in the body).
+// The first successful response is stored per user and key and replayed for
+// retries within IDEMPOTENCY_TTL_HOURS; failures are not stored so they can be retried.
+// The claim is a lease renewed while the request runs; a key left IN_PROGRESS by a
+// request that died is reclaimable once IDEMPOTENCY_LEASE_SECONDS pass without renewal.
+// Mount it ahead of rate limiting so replays are answered without using up the limit.
+const idempotency = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key') || req.body?.externalReference;
+
+    if (!key) {
+      return next();
+    }
+
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    try {
+      const filter = { userId: req.userId, scope, key };
+      const requestHash = hashRequest(req.body);
+      const { claimToken, existing } = await claimKey(filter, requestHash);
+
+      if (existing) {
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            error: 'Idempotency key was already used with a different request payload',
+            code: 'IDEMPOTENCY_KEY_MISMATCH'
+          });
+        }
+
+        if (existing.status === 'IN_PROGRESS') {
+          return res.status(409).json({
+            error: 'A request with this idempotency key is still being processed',
+            code: 'IDEMPOTENCY_IN_PROGRESS'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      const stopRenewal = startLeaseRenewal(filter, claimToken);
+      res.on('close', stopRenewal);
+
+      // Capture the response to store (success) or release the key (failure).
+      // The response is held until the record is settled so an immediate retry replays it.
+      // Settling is tied to this claim, so it never touches a record a retry took over.
+      const claimed = { ...filter, claimToken };
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        stopRenewal();
+
+        const settle = res.statusCode < 300
+          ? IdempotencyRecord.updateOne(claimed, {
+            $set: {
+              status: 'COMPLETED',
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(body))
+            },
+            $unset: { leaseUntil: 1, claimToken: 1 }
+          })
+          : IdempotencyRecord.deleteOne(claimed);
+
+        settle
+          .catch(error => console.error('Idempotency record update failed:', error))
+          .finally(() => originalJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      console.error('Idempotency middleware error:', error);
+      return res.status(500).json({
+        error: 'Failed to process idempotency key',
+        code: 'IDEMPOTENCY_ERROR'
+      });
+    }
+  };
+};
+
+module.exports = {
+  idempotency,
+  hashRequest
+};
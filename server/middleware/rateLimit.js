@@ -0,0 +1,169 @@
+// Redis sliding-window rate limiting.
+// Each policy counts requests in a sorted set per identity (IP or user) and
+// allows at most the caller's role limit within the window. If Redis is
+// unavailable the limiter fails open rather than blocking all traffic.
+
+const crypto = require('crypto');
+
+// Trim the window, count, and record the request only if it is allowed.
+// Returns { allowed, count, oldest score }.
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call("ZREMRANGEBYSCORE", KEYS[1], 0, now - window)
+local count = redis.call("ZCARD", KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call("ZADD", KEYS[1], now, ARGV[4])
+  redis.call("PEXPIRE", KEYS[1], window)
+  count = count + 1
+  allowed = 1
+end
+local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+return { allowed, count, tonumber(oldest[2] or now) }`;
+
+// Parse "default=30,manager=120,admin=0" into { default: 30, manager: 120, admin: 0 }.
+// A malformed entry stops startup: read as NaN it would silently mean unlimited.
+const parseLimits = (envName, value, fallback) => {
+  if (!value) return fallback;
+
+  return Object.fromEntries(value.split(',').map(entry => {
+    const [role, limit] = entry.split('=').map(part => part.trim());
+
+    if (!role || !/^\d+$/.test(limit || '')) {
+      throw new Error(`${envName}: expected role=<non-negative integer>, got '${entry.trim()}'`);
+    }
+    return [role, parseInt(limit)];
+  }));
+};
+
+const policy = (name, defaults) => {
+  const envName = name.replace(/([A-Z])/g, '_$1').toUpperCase();
+
+  return {
+    name,
+    key: defaults.key,
+    methods: defaults.methods,
+    windowMs: parseInt(process.env[`RATE_LIMIT_${envName}_WINDOW_MS`] || defaults.windowMs),
+    limits: parseLimits(`RATE_LIMIT_${envName}_LIMITS`, process.env[`RATE_LIMIT_${envName}_LIMITS`], defaults.limits)
+  };
+};
+
+// A role limit of 0 means unlimited for that role
+const POLICIES = {
+  login: policy('login', {
+    key: 'ip',
+    windowMs: 15 * 60 * 1000,
+    limits: { default: 10 }
+  }),
+  passwordReset: policy('passwordReset', {
+    key: 'ip',
+    windowMs: 60 * 60 * 1000,
+    limits: { default: 5 }
+  }),
+  shipmentCreate: policy('shipmentCreate', {
+    key: 'user',
+    windowMs: 60 * 1000,
+    limits: { default: 30, manager: 120, admin: 120 }
+  }),
+  // Import requests themselves; each committed row also uses a shipmentCreate token
+  shipmentImport: policy('shipmentImport', {
+    key: 'user',
+    windowMs: 60 * 1000,
+    limits: { default: 10, manager: 30, admin: 30 }
+  }),
+  read: policy('read', {
+    key: 'user',
+    methods: ['GET'],
+    windowMs: 60 * 1000,
+    limits: { default: 300, admin: 1000 }
+  })
+};
+
+const getPolicy = (policyName) => {
+  const config = POLICIES[policyName];
+
+  if (!config) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+
+  return config;
+};
+
+// Count one request by `identity` against a policy.
+// Resolves to { allowed, limit, count, resetSeconds }, or null when the role is
+// unlimited or Redis is unavailable (fail open).
+const consume = async (config, redisClient, role, identity) => {
+  const limit = config.limits[role] ?? config.limits.default;
+
+  if (!limit || !redisClient?.isReady) {
+    return null;
+  }
+
+  const key = `ratelimit:${config.name}:${identity}`;
+  const now = Date.now();
+
+  try {
+    const [allowed, count, oldest] = await redisClient.eval(SLIDING_WINDOW_SCRIPT, {
+      keys: [key],
+      arguments: [String(now), String(config.windowMs), String(limit), `${now}-${crypto.randomUUID()}`]
+    });
+
+    const resetSeconds = Math.max(1, Math.ceil((oldest + config.windowMs - now) / 1000));
+    return { allowed: allowed === 1, limit, count, resetSeconds };
+  } catch (error) {
+    console.error('Rate limiter error:', error);
+    return null;
+  }
+};
+
+// Rate-limit a user outside of HTTP (e.g. socket events); resolves to the same shape as consume()
+const checkRateLimit = (policyName, redisClient, user) => {
+  const config = getPolicy(policyName);
+  return consume(config, redisClient, user.role, `user:${user._id}`);
+};
+
+const rateLimit = (policyName) => {
+  const config = getPolicy(policyName);
+
+  return async (req, res, next) => {
+    if (config.methods && !config.methods.includes(req.method)) {
+      return next();
+    }
+
+    const identity = config.key === 'user' && req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+    const result = await consume(config, req.app.get('redis'), req.user?.role, identity);
+
+    if (!result) {
+      return next();
+    }
+
+    const { allowed, limit, count, resetSeconds } = result;
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${Math.ceil(config.windowMs / 1000)}`
+    });
+
+    if (!allowed) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'Too many requests. Please slow down.',
+        code: 'RATE_LIMITED',
+        policy: config.name,
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  checkRateLimit,
+  POLICIES
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // null contract = global default, used for contracts without their own rules
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    default: null,
+    index: true
+  },
+  contractId: {
+    type: String,
+    default: null
+  },
+  tiers: {
+    type: [{
+      type: Number,
+      min: 1,
+      max: 100
+    }],
+    validate: {
+      validator: (tiers) => tiers.length > 0,
+      message: 'At least one tier is required'
+    }
+  },
+  recipients: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  channels: {
+    type: [{
+      type: String,
+      enum: ['EMAIL', 'SOCKET']
+    }],
+    default: ['EMAIL', 'SOCKET']
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep tiers sorted and unique so they fire lowest first
+alertRuleSchema.pre('save', function(next) {
+  this.tiers = [...new Set(this.tiers)].sort((a, b) => a - b);
+  next();
+});
+
+// Static method to resolve the rules that apply to a contract
+alertRuleSchema.statics.forContract = async function(contractObjectId) {
+  const own = await this.find({ contract: contractObjectId, isActive: true });
+  if (own.length > 0) return own;
+  return this.find({ contract: null, isActive: true });
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
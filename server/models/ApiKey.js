@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  // Public identifier embedded in the key (pbr_<keyId>_<secret>); used for lookup
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // sha256 of the secret part; the raw key is only shown when issued
+  secretHash: {
+    type: String,
+    required: true
+  },
+  // e.g. shipments:create, contracts:read
+  scopes: [{
+    type: String
+  }],
+  // Business contract IDs the key may touch; empty = whatever the account's role allows
+  contractIds: [{
+    type: String,
+    trim: true
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  // Rotation chain
+  rotatedFrom: {
+    type: String
+  },
+  replacedBy: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.secretHash;
+      return ret;
+    }
+  }
+});
+
+// Virtual for whether the key can currently authenticate
+apiKeySchema.virtual('isUsable').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > Date.now();
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
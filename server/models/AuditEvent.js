@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    enum: ['auth', 'contract', 'shipment', 'reservation', 'return', 'alert', 'user', 'system'],
+    required: true,
+    index: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  actorName: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  // Set when a service account acted through an API key
+  apiKeyId: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  targetType: {
+    type: String,
+    index: true
+  },
+  targetId: {
+    type: String,
+    index: true
+  },
+  outcome: {
+    type: String,
+    enum: ['SUCCESS', 'FAILURE'],
+    default: 'SUCCESS'
+  },
+  reason: {
+    type: String
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  changes: [auditChangeSchema],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false
+});
+
+auditEventSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
+auditEventSchema.index({ actor: 1, timestamp: -1 });
+
+// The audit log is append-only: block every update and delete path
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit events are immutable'));
+});
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are immutable'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
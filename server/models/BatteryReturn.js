@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A return is the compensating ledger entry for an APPROVED shipment:
+// it hands its quantity back to the contract's capacity.
+const batteryReturnSchema = new mongoose.Schema({
+  returnId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `RMA-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase()
+  },
+  shipmentId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+    required: true
+  },
+  contractId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Line item returned from, for shipments made of SKU line items
+  sku: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['DEFECTIVE', 'DAMAGED', 'UNUSED', 'WRONG_ITEM', 'OTHER'],
+    required: true,
+    index: true
+  },
+  initiatedBy: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contractUnlocked: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BatteryReturn', batteryReturnSchema);
@@ -16,11 +16,149 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['THRESHOLD_WARNING', 'THRESHOLD_EXCEEDED', 'CONTRACT_LOCKED', 'CONTRACT_UNLOCKED'],
+    enum: ['THRESHOLD_WARNING', 'THRESHOLD_EXCEEDED', 'CONTRACT_LOCKED', 'CONTRACT_UNLOCKED', 'RENEWAL_REMINDER'],
     default: 'THRESHOLD_EXCEEDED'
   }
 });
 
+// Calendar length of each allowance period, in months (UTC)
+const ALLOWANCE_PERIODS = {
+  MONTHLY: 1,
+  QUARTERLY: 3,
+  ANNUAL: 12
+};
+
+// UTC calendar period of `period` type that contains `at`
+const periodBounds = (period, at = new Date()) => {
+  const months = ALLOWANCE_PERIODS[period];
+  const startMonth = Math.floor(at.getUTCMonth() / months) * months;
+
+  return {
+    start: new Date(Date.UTC(at.getUTCFullYear(), startMonth, 1)),
+    end: new Date(Date.UTC(at.getUTCFullYear(), startMonth + months, 1))
+  };
+};
+
+// Per-period allowance on top of the lifetime threshold
+const allowanceSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: Object.keys(ALLOWANCE_PERIODS),
+    required: true
+  },
+  limit: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Unused allowance moves into the next period, up to maxCarryOver (default: one period's limit)
+  carryOver: {
+    type: Boolean,
+    default: false
+  },
+  maxCarryOver: {
+    type: Number,
+    min: 0
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  shippedThisPeriod: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  carriedOver: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Lifetime limit for one battery SKU; `shipped` counts approved line items of that SKU,
+// net of returns, and `reserved` the line items of that SKU held by active reservations
+const skuLimitSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  shipped: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Quantity per SKU, with repeated SKUs merged
+const quantitiesBySku = (lineItems = []) => {
+  const quantities = new Map();
+  for (const { sku, quantity } of lineItems) {
+    quantities.set(sku, (quantities.get(sku) || 0) + quantity);
+  }
+  return quantities;
+};
+
+// Per-SKU parts of an atomic update. Every SKU in `lineItems` must be on the contract
+// with room for its quantity on top of what is shipped and held, less what
+// `releasedLineItems` (a hold being consumed) hands back. The quantities are added to
+// each SKU's `counter`; released quantities come off its `reserved`.
+const skuLimitUpdate = (lineItems, releasedLineItems = [], counter = 'shipped') => {
+  const requested = quantitiesBySku(lineItems);
+  const released = quantitiesBySku(releasedLineItems);
+  const skus = [...new Set([...requested.keys(), ...released.keys()])];
+
+  const conditions = [...requested].map(([sku, quantity]) => ({
+    $anyElementTrue: [{
+      $map: {
+        input: '$skuLimits',
+        in: {
+          $and: [
+            { $eq: ['$$this.sku', sku] },
+            {
+              $lte: [
+                { $add: ['$$this.shipped', { $ifNull: ['$$this.reserved', 0] }, quantity, -(released.get(sku) || 0)] },
+                '$$this.threshold'
+              ]
+            }
+          ]
+        }
+      }
+    }]
+  }));
+
+  const increments = {};
+  skus.forEach((sku, index) => {
+    const path = `skuLimits.$[sku${index}]`;
+    if (requested.has(sku)) {
+      increments[`${path}.${counter}`] = requested.get(sku);
+    }
+    if (released.has(sku)) {
+      increments[`${path}.reserved`] = (increments[`${path}.reserved`] || 0) - released.get(sku);
+    }
+  });
+
+  const arrayFilters = skus.map((sku, index) => ({ [`sku${index}.sku`]: sku }));
+
+  return { conditions, increments, arrayFilters };
+};
+
 const contractSchema = new mongoose.Schema({
   contractId: {
     type: String,
@@ -39,21 +177,55 @@ const contractSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  batteriesReserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   threshold: {
     type: Number,
     required: true,
     min: 1
   },
+  // Policy the threshold is derived from; null when the threshold was set by hand
+  thresholdPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ThresholdPolicy',
+    default: null
+  },
+  batteriesReturned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isLocked: {
     type: Boolean,
     default: false,
     index: true
   },
+  lockReason: {
+    type: String,
+    enum: ['THRESHOLD_EXCEEDED', 'PERIOD_LIMIT_EXCEEDED', 'MASTER_LOCKED', 'MANUAL', null],
+    default: null
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
   },
   notificationsSent: [notificationSchema],
+  // Alert tiers currently fired; a tier re-arms once usage drops back below it
+  alertsFired: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule'
+    },
+    tier: Number,
+    firedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -67,12 +239,43 @@ const contractSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Shipments and reservations are only accepted between these dates (either may be open)
   contractStartDate: {
     type: Date
   },
   contractEndDate: {
     type: Date
   },
+  // End date the last renewal reminder was sent for; moving the end date re-arms the reminder
+  renewalReminderSentFor: {
+    type: Date
+  },
+  allowance: {
+    type: allowanceSchema,
+    default: null
+  },
+  // A master agreement pools its children: its batteriesShipped and batteriesReserved
+  // are their totals, its threshold is the pool limit, and nothing ships against it directly
+  isMaster: {
+    type: Boolean,
+    default: false
+  },
+  // Master agreement whose pool this contract draws on
+  parentContract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    default: null
+  },
+  parentContractId: {
+    type: String,
+    default: null
+  },
+  // Per-SKU limits; when set, every shipment must list line items for these SKUs only,
+  // and `threshold` is the combined cap across them
+  skuLimits: {
+    type: [skuLimitSchema],
+    default: []
+  },
   priority: {
     type: String,
     enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'],
@@ -81,7 +284,33 @@ const contractSchema = new mongoose.Schema({
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+  // Users of ASSIGNED-scope roles may only act on contracts listed here.
+  // Empty permissions = everything the user's role grants.
+  accessList: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    permissions: [{
+      type: String
+    }],
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -93,13 +322,23 @@ contractSchema.virtual('thresholdPercentage').get(function() {
   return this.threshold > 0 ? (this.batteriesShipped / this.threshold) * 100 : 0;
 });
 
-// Virtual for remaining capacity
+// Virtual for remaining capacity (outstanding reservations are already promised)
 contractSchema.virtual('remainingCapacity').get(function() {
-  return Math.max(0, this.threshold - this.batteriesShipped);
+  return Math.max(0, this.threshold - this.batteriesShipped - (this.batteriesReserved || 0));
 });
 
-// Virtual for status
+// Virtual for what is left of the current allowance period (null without an allowance).
+// Outstanding reservations are promised against the period as well.
+contractSchema.virtual('periodRemaining').get(function() {
+  if (!this.allowance) return null;
+  const { limit, carriedOver, shippedThisPeriod } = this.allowance;
+  return Math.max(0, limit + (carriedOver || 0) - shippedThisPeriod - (this.batteriesReserved || 0));
+});
+
+// Virtual for status; the contract term takes precedence over locks and usage
 contractSchema.virtual('status').get(function() {
+  const term = this.termStatus();
+  if (term) return term;
   if (this.isLocked) return 'LOCKED';
   if (this.thresholdPercentage >= 100) return 'EXCEEDED';
   if (this.thresholdPercentage >= 80) return 'WARNING';
@@ -111,6 +350,19 @@ contractSchema.index({ contractId: 1, isLocked: 1 });
 contractSchema.index({ batteriesShipped: 1, threshold: 1 });
 contractSchema.index({ lastUpdated: -1 });
 contractSchema.index({ createdBy: 1 });
+contractSchema.index({ 'accessList.user': 1 });
+contractSchema.index({ contractEndDate: 1 });
+contractSchema.index({ 'allowance.periodEnd': 1 });
+contractSchema.index({ thresholdPolicy: 1 });
+contractSchema.index({ 'skuLimits.sku': 1 });
+contractSchema.index({ parentContract: 1 });
+contractSchema.index({ isMaster: 1 });
+
+// Query conditions matching contracts whose term includes `at`
+const inTermConditions = (at) => [
+  { $or: [{ contractStartDate: null }, { contractStartDate: { $lte: at } }] },
+  { $or: [{ contractEndDate: null }, { contractEndDate: { $gte: at } }] }
+];
 
 // Pre-save middleware to update lastUpdated
 contractSchema.pre('save', function(next) {
@@ -129,35 +381,428 @@ contractSchema.methods.addNotification = function(email, message, type = 'THRESH
   return this.save();
 };
 
+// PENDING_START or EXPIRED when `at` falls outside the contract term, otherwise null
+contractSchema.methods.termStatus = function(at = new Date()) {
+  if (this.contractStartDate && this.contractStartDate > at) return 'PENDING_START';
+  if (this.contractEndDate && this.contractEndDate < at) return 'EXPIRED';
+  return null;
+};
+
+// Error code for shipping or reserving outside the contract term (see Contract.TERM_ERRORS), otherwise null
+contractSchema.methods.termError = function(at = new Date()) {
+  const term = this.termStatus(at);
+  if (term === 'PENDING_START') return 'CONTRACT_NOT_STARTED';
+  if (term === 'EXPIRED') return 'CONTRACT_EXPIRED';
+  return null;
+};
+
+// Whether `quantity` more batteries would go over the current allowance period
+contractSchema.methods.exceedsAllowance = function(quantity, reserved = this.batteriesReserved || 0) {
+  if (!this.allowance) return false;
+  const { limit, carriedOver, shippedThisPeriod } = this.allowance;
+  return shippedThisPeriod + reserved + quantity > limit + (carriedOver || 0);
+};
+
+// Line items that would go over their SKU limit (holds included): [{ sku, requested, shipped, reserved, threshold }]
+contractSchema.methods.skuOverages = function(lineItems = []) {
+  const overages = [];
+
+  for (const [sku, requested] of quantitiesBySku(lineItems)) {
+    const limit = (this.skuLimits || []).find(entry => entry.sku === sku);
+    const reserved = (limit && limit.reserved) || 0;
+    if (limit && limit.shipped + reserved + requested > limit.threshold) {
+      overages.push({ sku, requested, shipped: limit.shipped, reserved, threshold: limit.threshold });
+    }
+  }
+
+  return overages;
+};
+
 // Instance method to check if can ship
-contractSchema.methods.canShip = function(quantity) {
-  if (this.isLocked) return false;
-  return (this.batteriesShipped + quantity) <= this.threshold;
+contractSchema.methods.canShip = function(quantity, lineItems = []) {
+  if (this.isLocked || this.termStatus()) return false;
+  if (this.exceedsAllowance(quantity)) return false;
+  if (this.skuOverages(lineItems).length > 0) return false;
+  return (this.batteriesShipped + (this.batteriesReserved || 0) + quantity) <= this.threshold;
 };
 
-// Instance method to ship batteries atomically
-contractSchema.methods.shipBatteries = async function(quantity, session = null) {
+// Instance method to ship batteries atomically.
+// reservedQuantity is the part of an outstanding reservation being consumed by this shipment,
+// and reservedLineItems that reservation's held line items.
+// With an allowance, the shipment must also fit the current period's limit. With SKU
+// limits, every line item must fit its SKU's limit, or nothing is shipped.
+contractSchema.methods.shipBatteries = async function(quantity, session = null, reservedQuantity = 0, lineItems = [], reservedLineItems = []) {
   const options = session ? { session } : {};
-  
+  const now = new Date();
+
+  // A lapsed allowance period is rolled over before anything is counted against it
+  let current = this;
+  if (this.allowance && this.allowance.periodEnd <= now) {
+    ({ contract: current } = await this.constructor.rollAllowancePeriod(this, session, now));
+  }
+  const hasAllowance = !!(current && current.allowance);
+  const hasSkuLimits = !!(current && current.skuLimits && current.skuLimits.length > 0);
+
+  // One condition and one counter per SKU; each SKU must be on the contract and have room
+  const { conditions: skuConditions, increments: skuIncrements, arrayFilters } = hasSkuLimits
+    ? skuLimitUpdate(lineItems, reservedLineItems)
+    : { conditions: [], increments: {}, arrayFilters: [] };
+
   const updated = await this.constructor.findOneAndUpdate(
     {
       _id: this._id,
       isLocked: false,
+      $and: [
+        ...inTermConditions(now),
+        hasAllowance ? { 'allowance.periodEnd': { $gt: now } } : { allowance: null },
+        { 'skuLimits.0': { $exists: hasSkuLimits } }
+      ],
+      ...(reservedQuantity > 0 ? { batteriesReserved: { $gte: reservedQuantity } } : {}),
       $expr: {
-        $lte: [
-          { $add: ['$batteriesShipped', quantity] },
-          '$threshold'
+        $and: [
+          {
+            $lte: [
+              {
+                $add: [
+                  '$batteriesShipped',
+                  { $ifNull: ['$batteriesReserved', 0] },
+                  quantity,
+                  -reservedQuantity
+                ]
+              },
+              '$threshold'
+            ]
+          },
+          ...(hasAllowance ? [{
+            $lte: [
+              {
+                $add: [
+                  '$allowance.shippedThisPeriod',
+                  { $ifNull: ['$batteriesReserved', 0] },
+                  quantity,
+                  -reservedQuantity
+                ]
+              },
+              { $add: ['$allowance.limit', '$allowance.carriedOver'] }
+            ]
+          }] : []),
+          ...skuConditions
         ]
       }
     },
     {
-      $inc: { batteriesShipped: quantity },
+      $inc: {
+        batteriesShipped: quantity,
+        batteriesReserved: -reservedQuantity,
+        ...(hasAllowance ? { 'allowance.shippedThisPeriod': quantity } : {}),
+        ...skuIncrements
+      },
       $set: { lastUpdated: new Date() }
     },
+    { new: true, ...(arrayFilters.length > 0 ? { arrayFilters } : {}), ...options }
+  );
+
+  // A child also draws on its master's pool. When the pool is full, null is
+  // returned and the caller's transaction rolls the contract update back.
+  if (updated && updated.parentContract) {
+    const master = await this.constructor.updatePool(
+      updated.parentContract,
+      { shipped: quantity, reserved: -reservedQuantity },
+      session
+    );
+    if (!master) return null;
+  }
+
+  return updated;
+};
+
+// Static method to move a contract whose allowance period has ended into the current one.
+// Unused allowance carries over when enabled; a contract locked only for its period
+// limit is unlocked. Resolves to { contract, rolled, unlocked }; when another caller
+// rolled the period first, the fresh contract is returned with rolled = false.
+contractSchema.statics.rollAllowancePeriod = async function(contract, session = null, at = new Date()) {
+  const options = session ? { session } : {};
+  const allowance = contract.allowance;
+
+  if (!allowance || allowance.periodEnd > at) {
+    return { contract, rolled: false, unlocked: false };
+  }
+
+  const { start, end } = periodBounds(allowance.period, at);
+
+  // Periods skipped entirely (nothing shipped, nothing rolled) leave a full limit unused
+  const unused = allowance.periodEnd.getTime() === start.getTime()
+    ? Math.max(0, allowance.limit + (allowance.carriedOver || 0) - allowance.shippedThisPeriod)
+    : allowance.limit;
+  const cap = allowance.maxCarryOver ?? allowance.limit;
+  const carriedOver = allowance.carryOver ? Math.min(unused, cap) : 0;
+
+  const rolled = await this.findOneAndUpdate(
+    { _id: contract._id, 'allowance.periodEnd': allowance.periodEnd },
+    {
+      $set: {
+        'allowance.periodStart': start,
+        'allowance.periodEnd': end,
+        'allowance.shippedThisPeriod': 0,
+        'allowance.carriedOver': carriedOver,
+        lastUpdated: new Date()
+      }
+    },
     { new: true, ...options }
   );
-  
+
+  if (!rolled) {
+    return { contract: await this.findById(contract._id).session(session), rolled: false, unlocked: false };
+  }
+
+  const unlocked = await this.findOneAndUpdate(
+    { _id: contract._id, isLocked: true, lockReason: 'PERIOD_LIMIT_EXCEEDED' },
+    { $set: { isLocked: false, lockReason: null } },
+    { new: true, ...options }
+  );
+
+  return { contract: unlocked || rolled, rolled: true, unlocked: !!unlocked };
+};
+
+// Instance method to hold capacity atomically for a reservation.
+// With an allowance, the hold must also fit the current period (holds count against it).
+// With SKU limits, every held line item must fit its SKU's limit, shipped and held.
+// A child's hold is also taken from its master's pool (see shipBatteries).
+contractSchema.methods.reserveBatteries = async function(quantity, session = null, lineItems = []) {
+  const options = session ? { session } : {};
+  const now = new Date();
+
+  let current = this;
+  if (this.allowance && this.allowance.periodEnd <= now) {
+    ({ contract: current } = await this.constructor.rollAllowancePeriod(this, session, now));
+  }
+  const hasAllowance = !!(current && current.allowance);
+  const hasSkuLimits = !!(current && current.skuLimits && current.skuLimits.length > 0);
+
+  const { conditions: skuConditions, increments: skuIncrements, arrayFilters } = hasSkuLimits
+    ? skuLimitUpdate(lineItems, [], 'reserved')
+    : { conditions: [], increments: {}, arrayFilters: [] };
+
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      isLocked: false,
+      $and: [
+        ...inTermConditions(now),
+        hasAllowance ? { 'allowance.periodEnd': { $gt: now } } : { allowance: null },
+        { 'skuLimits.0': { $exists: hasSkuLimits } }
+      ],
+      $expr: {
+        $and: [
+          {
+            $lte: [
+              { $add: ['$batteriesShipped', { $ifNull: ['$batteriesReserved', 0] }, quantity] },
+              '$threshold'
+            ]
+          },
+          ...(hasAllowance ? [{
+            $lte: [
+              { $add: ['$allowance.shippedThisPeriod', { $ifNull: ['$batteriesReserved', 0] }, quantity] },
+              { $add: ['$allowance.limit', '$allowance.carriedOver'] }
+            ]
+          }] : []),
+          ...skuConditions
+        ]
+      }
+    },
+    {
+      $inc: { batteriesReserved: quantity, ...skuIncrements },
+      $set: { lastUpdated: new Date() }
+    },
+    { new: true, ...(arrayFilters.length > 0 ? { arrayFilters } : {}), ...options }
+  );
+
+  if (updated && updated.parentContract) {
+    const master = await this.constructor.updatePool(updated.parentContract, { reserved: quantity }, session);
+    if (!master) return null;
+  }
+
   return updated;
 };
 
-module.exports = mongoose.model('Contract', contractSchema);
+// Static method to give held capacity back (release or expiry of a reservation),
+// including the held line items' per-SKU holds
+contractSchema.statics.releaseReservedBatteries = async function(contractObjectId, quantity, session = null, lineItems = []) {
+  const options = session ? { session } : {};
+
+  // Only SKUs still limited on the contract hold anything (limits may have been removed since)
+  const current = lineItems.length > 0
+    ? await this.findById(contractObjectId).select('skuLimits.sku').session(session)
+    : null;
+  const limited = current ? current.skuLimits.map(limit => limit.sku) : [];
+  const { increments, arrayFilters } = skuLimitUpdate([], lineItems.filter(item => limited.includes(item.sku)));
+
+  const released = await this.findOneAndUpdate(
+    { _id: contractObjectId, batteriesReserved: { $gte: quantity } },
+    {
+      $inc: { batteriesReserved: -quantity, ...increments },
+      $set: { lastUpdated: new Date() }
+    },
+    { new: true, ...(arrayFilters.length > 0 ? { arrayFilters } : {}), ...options }
+  );
+
+  if (released && released.parentContract) {
+    await this.updatePool(released.parentContract, { reserved: -quantity }, session);
+  }
+
+  return released;
+};
+
+// Static method to move usage into (positive) or out of (negative) a master's pool.
+// Drawing on the pool needs the master open and the pool limit to hold;
+// resolves to the updated master, or null when it does not.
+contractSchema.statics.updatePool = function(masterObjectId, { shipped = 0, reserved = 0 }, session = null) {
+  const options = session ? { session } : {};
+  const drawing = shipped > 0 || reserved > 0;
+
+  return this.findOneAndUpdate(
+    {
+      _id: masterObjectId,
+      isMaster: true,
+      ...(drawing ? { isLocked: false } : {}),
+      ...(shipped + reserved > 0 ? {
+        $expr: {
+          $lte: [
+            { $add: ['$batteriesShipped', { $ifNull: ['$batteriesReserved', 0] }, shipped, reserved] },
+            '$threshold'
+          ]
+        }
+      } : {})
+    },
+    {
+      $inc: { batteriesShipped: shipped, batteriesReserved: reserved },
+      $set: { lastUpdated: new Date() }
+    },
+    { new: true, ...options }
+  );
+};
+
+// Static method to lock or unlock a master's children along with it. Locking skips
+// children that are already locked; unlocking only reopens children locked by the
+// master. Resolves to the contractIds that changed.
+contractSchema.statics.cascadeMasterLock = async function(masterObjectId, isLocked, session = null) {
+  const options = session ? { session } : {};
+  const filter = isLocked
+    ? { parentContract: masterObjectId, isLocked: false }
+    : { parentContract: masterObjectId, isLocked: true, lockReason: 'MASTER_LOCKED' };
+
+  const children = await this.find(filter).select('contractId').session(session).lean();
+  if (children.length === 0) return [];
+
+  await this.updateMany(
+    { ...filter, _id: { $in: children.map(child => child._id) } },
+    { $set: { isLocked, lockReason: isLocked ? 'MASTER_LOCKED' : null, lastUpdated: new Date() } },
+    options
+  );
+
+  return children.map(child => child.contractId);
+};
+
+// Static method to credit returned batteries back to a contract's capacity.
+// With a sku, the SKU's limit is credited too (when the contract has one).
+// With shippedAt inside the current allowance period, that period's usage is
+// credited as well (never below 0).
+// With unlockIfUnder, a contract locked only for exceeding its threshold or its
+// period limit is reopened in the same update once usage drops back under it.
+contractSchema.statics.creditReturnedBatteries = async function(contractObjectId, quantity, session = null, unlockIfUnder = false, sku = null, shippedAt = null) {
+  const options = session ? { session } : {};
+
+  let credited = await this.findOneAndUpdate(
+    { _id: contractObjectId, batteriesShipped: { $gte: quantity } },
+    {
+      $inc: {
+        batteriesShipped: -quantity,
+        batteriesReturned: quantity,
+        ...(sku ? { 'skuLimits.$[line].shipped': -quantity } : {})
+      },
+      $set: { lastUpdated: new Date() }
+    },
+    { new: true, ...(sku ? { arrayFilters: [{ 'line.sku': sku, 'line.shipped': { $gte: quantity } }] } : {}), ...options }
+  );
+
+  if (credited && credited.parentContract) {
+    await this.updatePool(credited.parentContract, { shipped: -quantity }, session);
+  }
+
+  if (credited && shippedAt && credited.allowance) {
+    const periodCredited = await this.findOneAndUpdate(
+      {
+        _id: contractObjectId,
+        'allowance.periodStart': { $lte: shippedAt },
+        'allowance.periodEnd': { $gt: shippedAt }
+      },
+      [{
+        $set: {
+          'allowance.shippedThisPeriod': { $max: [0, { $subtract: ['$allowance.shippedThisPeriod', quantity] }] }
+        }
+      }],
+      { new: true, ...options }
+    );
+
+    credited = periodCredited || credited;
+  }
+
+  if (!credited || !unlockIfUnder) {
+    return { contract: credited, unlocked: false };
+  }
+
+  const underThreshold = {
+    $lt: [
+      { $add: ['$batteriesShipped', { $ifNull: ['$batteriesReserved', 0] }] },
+      '$threshold'
+    ]
+  };
+
+  const unlocked = await this.findOneAndUpdate(
+    {
+      _id: contractObjectId,
+      isLocked: true,
+      $or: [
+        { lockReason: 'THRESHOLD_EXCEEDED', $expr: underThreshold },
+        {
+          lockReason: 'PERIOD_LIMIT_EXCEEDED',
+          $expr: {
+            $and: [
+              underThreshold,
+              { $lt: ['$allowance.shippedThisPeriod', { $add: ['$allowance.limit', '$allowance.carriedOver'] }] }
+            ]
+          }
+        }
+      ]
+    },
+    { $set: { isLocked: false, lockReason: null } },
+    { new: true, ...options }
+  );
+
+  return { contract: unlocked || credited, unlocked: !!unlocked };
+};
+
+const Contract = mongoose.model('Contract', contractSchema);
+
+Contract.ALLOWANCE_PERIODS = ALLOWANCE_PERIODS;
+Contract.periodBounds = periodBounds;
+
+// Messages for the termError() codes
+Contract.TERM_ERRORS = {
+  CONTRACT_NOT_STARTED: 'Contract term has not started yet. No shipments allowed.',
+  CONTRACT_EXPIRED: 'Contract term has ended. No further shipments allowed.'
+};
+
+// Messages for shipping against the wrong level of a contract hierarchy
+Contract.HIERARCHY_ERRORS = {
+  MASTER_AGREEMENT: "A master agreement pools its children's usage. Ship against one of its child contracts."
+};
+
+// Messages for line items a contract cannot accept
+Contract.LINE_ITEM_ERRORS = {
+  LINE_ITEMS_REQUIRED: 'This contract has per-SKU limits. List the shipment as line items.',
+  UNKNOWN_SKU: 'One or more SKUs are not in the active battery catalog',
+  SKU_NOT_ON_CONTRACT: 'One or more SKUs have no limit on this contract'
+};
+
+module.exports = Contract;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const contractVersionSchema = new mongoose.Schema({
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    required: true
+  },
+  contractId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  changes: [changeSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// One record per contract version
+contractVersionSchema.index({ contract: 1, version: -1 }, { unique: true });
+contractVersionSchema.index({ 'changes.field': 1 });
+
+// Versions are history: never rewrite them
+contractVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Contract versions are immutable'));
+});
+
+// Static method to diff tracked fields between two plain snapshots
+contractVersionSchema.statics.diff = function(before, after, fields) {
+  const normalize = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return JSON.stringify(value);
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return value === undefined ? null : value;
+  };
+
+  return fields
+    .filter(field => after[field] !== undefined)
+    .filter(field => normalize(before[field]) !== normalize(after[field]))
+    .map(field => ({
+      field,
+      oldValue: before[field] === undefined ? null : before[field],
+      newValue: after[field]
+    }));
+};
+
+module.exports = mongoose.model('ContractVersion', contractVersionSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  contractId: {
+    type: String,
+    index: true
+  },
+  mail: {
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    subject: String,
+    text: String,
+    html: String
+  },
+  // The body carries a credential (reset or invite link); it is dropped once sent
+  containsSecret: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSING', 'SENT', 'DEAD'],
+    default: 'PENDING',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6')
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the worker while sending; an expired lease is picked up again
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  attemptLog: [{
+    attempt: Number,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Worker poll: due messages in send order
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
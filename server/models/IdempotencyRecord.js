@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED'],
+    default: 'IN_PROGRESS'
+  },
+  // While IN_PROGRESS: renewed by the running request; once it passes, the request
+  // is presumed dead and a retry may take the key over
+  leaseUntil: {
+    type: Date
+  },
+  // Identifies the request holding the claim
+  claimToken: {
+    type: String
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A key is unique per user and endpoint
+idempotencyRecordSchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+
+// Mongo purges records once their replay window has passed
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
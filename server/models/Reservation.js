@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  reservationId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `RSV-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase()
+  },
+  contractId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Battery SKUs held, adding up to quantity; empty for holds of a single total
+  lineItems: [{
+    sku: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'COMMITTED', 'RELEASED', 'EXPIRED'],
+    default: 'ACTIVE',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  reservedBy: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shipmentId: {
+    type: String
+  },
+  notes: {
+    type: String
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Sweeper lookup for holds that have run out
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Closed reservations are purged by Mongo after the retention window
+reservationSchema.index(
+  { closedAt: 1 },
+  { expireAfterSeconds: parseInt(process.env.RESERVATION_RETENTION_DAYS || '30') * 24 * 60 * 60 }
+);
+
+// Virtual for whether the hold still counts against the contract
+reservationSchema.virtual('isActive').get(function() {
+  return this.status === 'ACTIVE' && this.expiresAt > Date.now();
+});
+
+module.exports = mongoose.model('Reservation', reservationSchema);
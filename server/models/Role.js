@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Every permission the API checks; roles may only grant these
+const PERMISSIONS = [
+  'read',
+  'create',
+  'update',
+  'delete',
+  'approve_shipments',
+  'assign_contracts',
+  'manage_users',
+  'manage_roles',
+  'unlock_contracts',
+  'view_audit',
+  'manage_notifications',
+  'manage_api_keys',
+  'manage_webhooks'
+];
+
+// Built-in roles, seeded on startup and used until the roles collection is populated
+const DEFAULT_ROLES = [
+  {
+    name: 'viewer',
+    description: 'Read-only access',
+    permissions: ['read'],
+    contractScope: 'ALL'
+  },
+  {
+    name: 'user',
+    description: 'Default role for self-registered accounts',
+    permissions: ['read'],
+    contractScope: 'ALL'
+  },
+  {
+    name: 'technician',
+    description: 'Field technician limited to assigned contracts',
+    permissions: ['read', 'create'],
+    contractScope: 'ASSIGNED'
+  },
+  {
+    name: 'manager',
+    description: 'Creates contracts and approves shipments',
+    permissions: ['read', 'create', 'update', 'approve_shipments', 'assign_contracts'],
+    contractScope: 'ALL'
+  },
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: [...PERMISSIONS],
+    contractScope: 'ALL'
+  }
+];
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_]+$/,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  // ALL = every contract; ASSIGNED = only contracts whose accessList names the user
+  contractScope: {
+    type: String,
+    enum: ['ALL', 'ASSIGNED'],
+    default: 'ALL'
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep permissions unique
+roleSchema.pre('save', function(next) {
+  this.permissions = [...new Set(this.permissions)];
+  next();
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+Role.PERMISSIONS = PERMISSIONS;
+Role.DEFAULT_ROLES = DEFAULT_ROLES;
+
+module.exports = Role;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const shipmentSchema = new mongoose.Schema({
+  shipmentId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `SHP-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase()
+  },
+  contractId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    required: true
+  },
+  // Total across all line items
+  batteriesShipped: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Battery SKUs making up the shipment; empty for shipments recorded as a single total
+  lineItems: [{
+    sku: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    returned: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    _id: false
+  }],
+  batteriesReturned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['APPROVED', 'BLOCKED', 'PENDING', 'REJECTED'],
+    required: true,
+    index: true
+  },
+  initiatedBy: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // API key used when a service account created the shipment
+  apiKeyId: {
+    type: String
+  },
+  blockReason: {
+    type: String
+  },
+  notes: {
+    type: String
+  },
+  externalReference: {
+    type: String,
+    trim: true,
+    index: true,
+    sparse: true
+  },
+  reservationId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ 'lineItems.sku': 1 });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
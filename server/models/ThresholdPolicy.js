@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Built-in policy, seeded on startup; used for contracts created without a threshold
+const DEFAULT_POLICY = {
+  name: 'default',
+  description: '1.2 batteries per device',
+  ratio: 1.2
+};
+
+const thresholdPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Batteries allowed per device when no priority or client ratio applies
+  ratio: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Per-priority ratios; a priority left out uses `ratio`
+  priorityRatios: [{
+    priority: {
+      type: String,
+      enum: PRIORITIES,
+      required: true
+    },
+    ratio: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    _id: false
+  }],
+  // Per-client ratios (matched on clientName, case-insensitive); these win over priority ratios
+  clientRatios: [{
+    clientName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    ratio: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    _id: false
+  }],
+  // Caps on the resulting threshold, per device under contract
+  minPerDevice: {
+    type: Number,
+    min: 0
+  },
+  maxPerDevice: {
+    type: Number,
+    min: 0
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Ratio that applies to a contract: client first, then priority, then the base ratio
+thresholdPolicySchema.methods.ratioFor = function({ clientName, priority }) {
+  const client = clientName && this.clientRatios.find(
+    entry => entry.clientName.toLowerCase() === clientName.toLowerCase()
+  );
+  if (client) return client.ratio;
+
+  const byPriority = this.priorityRatios.find(entry => entry.priority === (priority || 'MEDIUM'));
+  if (byPriority) return byPriority.ratio;
+
+  return this.ratio;
+};
+
+// Threshold for a contract: deviceCount x ratio, rounded down, clamped to the
+// per-device caps, and never below 1
+thresholdPolicySchema.methods.computeThreshold = function(contract) {
+  let threshold = Math.floor(contract.deviceCount * this.ratioFor(contract));
+
+  if (this.minPerDevice != null) {
+    threshold = Math.max(threshold, Math.ceil(contract.deviceCount * this.minPerDevice));
+  }
+  if (this.maxPerDevice != null) {
+    threshold = Math.min(threshold, Math.floor(contract.deviceCount * this.maxPerDevice));
+  }
+
+  return Math.max(1, threshold);
+};
+
+const ThresholdPolicy = mongoose.model('ThresholdPolicy', thresholdPolicySchema);
+
+ThresholdPolicy.PRIORITIES = PRIORITIES;
+ThresholdPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = ThresholdPolicy;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { DEFAULT_ROLES } = require('./Role');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,12 +26,27 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Name of a Role document; permissions are resolved by accessService
   role: {
     type: String,
-    enum: ['user', 'admin', 'manager', 'viewer'],
     default: 'user',
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  // SERVICE accounts are integrations: they authenticate with API keys and cannot log in
+  accountType: {
+    type: String,
+    enum: ['USER', 'SERVICE'],
+    default: 'USER',
     index: true
   },
+  // What a service account is used for
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
   firstName: {
     type: String,
     trim: true,
@@ -72,11 +89,68 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    renewalReminders: {
+      type: Boolean,
+      default: true
+    },
     dailyReports: {
       type: Boolean,
       default: false
     }
   },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date
+  },
+  inviteTokenHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  inviteExpiresAt: {
+    type: Date
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Hashes of previous passwords, newest first, for the reuse policy
+  passwordHistory: [{
+    type: String
+  }],
+  passwordResetTokenHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  passwordResetExpiresAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication; secrets are encrypted by mfaService
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    enabledAt: Date,
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: Number,
+    recoveryCodes: [{
+      hash: String,
+      usedAt: Date,
+      _id: false
+    }]
+  },
+  deactivationReason: {
+    type: String
+  },
   refreshTokens: [{
     token: String,
     createdAt: {
@@ -84,7 +158,11 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     },
     expiresAt: Date,
-    deviceInfo: String
+    deviceInfo: String,
+    family: {
+      type: String,
+      index: true
+    }
   }]
 }, {
   timestamps: true,
@@ -93,6 +171,12 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.refreshTokens;
+      delete ret.inviteTokenHash;
+      delete ret.passwordHistory;
+      delete ret.passwordResetTokenHash;
+      if (ret.mfa) {
+        ret.mfa = { enabled: ret.mfa.enabled, enabledAt: ret.mfa.enabledAt };
+      }
       return ret;
     }
   },
@@ -134,6 +218,31 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Instance method to check a candidate against the current and last `historySize` passwords
+userSchema.methods.isPasswordReused = async function(candidatePassword, historySize = 0) {
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, historySize)];
+
+  for (const hash of hashes) {
+    if (hash && await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Instance method to change the password (hashed on save), keeping the old hash in history.
+// Clears any pending reset token; callers revoke sessions separately.
+userSchema.methods.setPassword = function(newPassword, historySize = 0) {
+  if (this.password && !this.isNew) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, historySize);
+  }
+
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpiresAt = undefined;
+};
+
 // Instance method to increment login attempts
 userSchema.methods.incLoginAttempts = function() {
   if (this.lockUntil && this.lockUntil < Date.now()) {
@@ -161,11 +270,14 @@ userSchema.methods.resetLoginAttempts = function() {
 };
 
 // Instance method to add refresh token
-userSchema.methods.addRefreshToken = function(token, expiresAt, deviceInfo = '') {
+userSchema.methods.addRefreshToken = function(token, expiresAt, deviceInfo = '', family = null) {
+  this.refreshTokens = this.refreshTokens.filter(rt => !rt.expiresAt || rt.expiresAt > Date.now());
+
   this.refreshTokens.push({
     token,
     expiresAt,
-    deviceInfo
+    deviceInfo,
+    family
   });
   
   if (this.refreshTokens.length > 5) {
@@ -181,16 +293,85 @@ userSchema.methods.removeRefreshToken = function(token) {
   return this.save();
 };
 
-// Instance method to check permissions
+// Instance method to swap a refresh token for its successor in the same family.
+// The old token is pulled by a conditional update, so of two concurrent rotations
+// only one matches; resolves to false when the token was no longer on record.
+userSchema.methods.rotateRefreshToken = async function(oldToken, newToken, expiresAt, deviceInfo = '', family = null) {
+  const pulled = await this.constructor.updateOne(
+    { _id: this._id, 'refreshTokens.token': oldToken },
+    { $pull: { refreshTokens: { $or: [{ token: oldToken }, { expiresAt: { $lte: new Date() } }] } } }
+  );
+
+  if (pulled.modifiedCount === 0) {
+    return false;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { refreshTokens: { $each: [{ token: newToken, expiresAt, deviceInfo, family }], $slice: -5 } } }
+  );
+  return true;
+};
+
+// Instance method to revoke every refresh token issued in a family
+userSchema.methods.revokeTokenFamily = function(family) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { refreshTokens: { family } } }
+  );
+};
+
+// Instance method to revoke all refresh tokens (every session)
+userSchema.methods.revokeAllRefreshTokens = function() {
+  this.refreshTokens = [];
+  return this.save();
+};
+
+// Instance method to issue a single-use invite token; only its hash is stored
+userSchema.methods.createInviteToken = function(ttlHours = 72) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.inviteTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.inviteExpiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to issue a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function(ttlMinutes = 30) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to check permissions.
+// Uses the role loaded by accessService.attachRole, falling back to the built-in defaults.
 userSchema.methods.hasPermission = function(action) {
-  const permissions = {
-    user: ['read'],
-    viewer: ['read'],
-    manager: ['read', 'create', 'update'],
-    admin: ['read', 'create', 'update', 'delete', 'manage_users', 'unlock_contracts']
-  };
-  
-  return permissions[this.role]?.includes(action) || false;
+  const permissions = this.$locals.permissions
+    || DEFAULT_ROLES.find(role => role.name === this.role)?.permissions
+    || [];
+
+  return permissions.includes(action);
+};
+
+// Static method to find a pending invite by its raw token
+userSchema.statics.findByInviteToken = function(token) {
+  return this.findOne({
+    inviteTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    inviteExpiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to find an active account by its raw password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    passwordResetExpiresAt: { $gt: new Date() },
+    isActive: true
+  });
 };
 
 // Static method to find by email or username
@@ -200,7 +381,8 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
       { email: identifier.toLowerCase() },
       { username: identifier }
     ],
-    isActive: true
+    isActive: true,
+    accountType: { $ne: 'SERVICE' }
   });
 };
 
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+  // Shared by every delivery of the same event, so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  contractId: {
+    type: String,
+    index: true
+  },
+  // Exact JSON body that is signed and sent on every attempt
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSING', 'DELIVERED', 'DEAD'],
+    default: 'PENDING',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8')
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the worker while sending; an expired lease is picked up again
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  responseStatus: {
+    type: Number
+  },
+  attemptLog: [{
+    attempt: Number,
+    responseStatus: Number,
+    durationMs: Number,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Worker poll: due deliveries in send order
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Event types to deliver, or ['*'] for every event
+  events: {
+    type: [{
+      type: String
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  // Only deliver events for these contracts; empty = all contracts
+  contractIds: [{
+    type: String,
+    trim: true
+  }],
+  // HMAC-SHA256 signing secret; returned only when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const AlertRule = require('../models/AlertRule');
+const Contract = require('../models/Contract');
+const { requirePermission } = require('../middleware/auth');
+const { accessibleContractIds, canAccessContractId, isRestricted } = require('../services/accessService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const ruleValidation = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('contractId').optional({ values: 'null' }).isString(),
+  body('tiers').optional().isArray({ min: 1 }),
+  body('tiers.*').isFloat({ min: 1, max: 100 }).toFloat(),
+  body('recipients').optional().isArray(),
+  body('recipients.*').isEmail().normalizeEmail(),
+  body('channels').optional().isArray({ min: 1 }),
+  body('channels.*').isIn(['EMAIL', 'SOCKET']),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+// A per-contract rule needs update access to its contract; a global default
+// applies to every contract, so only unrestricted callers may manage one
+const canManageRule = (user, contractId) => {
+  return contractId ? canAccessContractId(user, contractId, 'update') : !isRestricted(user);
+};
+
+const sendRuleAccessDenied = (res, contractId) => {
+  return res.status(403).json({
+    error: contractId
+      ? `Permission 'update' required on contract ${contractId}`
+      : 'Global alert rules require access to all contracts',
+    code: 'CONTRACT_ACCESS_DENIED'
+  });
+};
+
+// List alert rules (global defaults and per-contract)
+router.get('/', async (req, res) => {
+  try {
+    const { contractId } = req.query;
+    const filter = {};
+
+    if (contractId === 'global') {
+      filter.contract = null;
+    } else if (contractId) {
+      filter.contractId = contractId;
+    }
+
+    // Global defaults, plus the per-contract rules of contracts the caller can read
+    const contractIds = await accessibleContractIds(req.user);
+    if (contractIds !== null) {
+      filter.$or = [{ contract: null }, { contractId: { $in: contractIds } }];
+    }
+
+    const rules = await AlertRule.find(filter)
+      .sort({ contractId: 1, createdAt: 1 })
+      .populate('createdBy', 'username fullName')
+      .lean();
+
+    res.json({ rules });
+
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert rules',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Create alert rule; omit contractId for a global default (Manager/Admin)
+router.post('/', requirePermission('update', { contract: req => req.body.contractId }), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('tiers').isArray({ min: 1 }).withMessage('At least one tier is required'),
+  ...ruleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, contractId, tiers, recipients, channels, isActive } = req.body;
+
+    if (!contractId && isRestricted(req.user)) {
+      return sendRuleAccessDenied(res, null);
+    }
+
+    let contract = null;
+    if (contractId) {
+      contract = await Contract.findOne({ contractId }).select('_id');
+
+      if (!contract) {
+        return res.status(404).json({
+          error: 'Contract not found',
+          code: 'CONTRACT_NOT_FOUND'
+        });
+      }
+    }
+
+    const rule = new AlertRule({
+      name,
+      contract: contract ? contract._id : null,
+      contractId: contractId || null,
+      tiers,
+      recipients,
+      channels,
+      isActive,
+      createdBy: req.userId
+    });
+
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'alert_rule.created',
+      category: 'alert',
+      targetType: 'AlertRule',
+      targetId: rule._id,
+      after: rule
+    });
+
+    res.status(201).json({
+      message: 'Alert rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      error: 'Failed to create alert rule',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update alert rule (Manager/Admin)
+router.put('/:ruleId', requirePermission('update'), ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rule = mongoose.isValidObjectId(req.params.ruleId)
+      ? await AlertRule.findById(req.params.ruleId)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Alert rule not found',
+        code: 'ALERT_RULE_NOT_FOUND'
+      });
+    }
+
+    if (!(await canManageRule(req.user, rule.contractId))) {
+      return sendRuleAccessDenied(res, rule.contractId);
+    }
+
+    const before = rule.toObject();
+
+    for (const field of ['name', 'tiers', 'recipients', 'channels', 'isActive']) {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    }
+
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'alert_rule.updated',
+      category: 'alert',
+      targetType: 'AlertRule',
+      targetId: rule._id,
+      before,
+      after: rule
+    });
+
+    res.json({
+      message: 'Alert rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      error: 'Failed to update alert rule',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete alert rule (Manager/Admin)
+router.delete('/:ruleId', requirePermission('update'), async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.ruleId)
+      ? await AlertRule.findById(req.params.ruleId)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Alert rule not found',
+        code: 'ALERT_RULE_NOT_FOUND'
+      });
+    }
+
+    if (!(await canManageRule(req.user, rule.contractId))) {
+      return sendRuleAccessDenied(res, rule.contractId);
+    }
+
+    await rule.deleteOne();
+
+    // Drop the fired-tier state that belonged to this rule
+    await Contract.updateMany(
+      { 'alertsFired.rule': rule._id },
+      { $pull: { alertsFired: { rule: rule._id } } }
+    );
+
+    await recordAudit(req, {
+      action: 'alert_rule.deleted',
+      category: 'alert',
+      targetType: 'AlertRule',
+      targetId: rule._id,
+      before: rule
+    });
+
+    res.json({ message: 'Alert rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      error: 'Failed to delete alert rule',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const AuditEvent = require('../models/AuditEvent');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const EXPORT_MAX_ROWS = 10000;
+
+// Build a Mongo filter from audit query parameters
+const buildFilter = (query) => {
+  const { action, category, actor, actorName, targetType, targetId, outcome, from, to } = query;
+  const filter = {};
+
+  if (action) {
+    // Prefix match so `contract.` returns every contract action
+    filter.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (actor) {
+    filter.actor = actor;
+  }
+
+  if (actorName) {
+    filter.actorName = actorName;
+  }
+
+  if (targetType) {
+    filter.targetType = targetType;
+  }
+
+  if (targetId) {
+    filter.targetId = targetId;
+  }
+
+  if (outcome) {
+    filter.outcome = outcome;
+  }
+
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = new Date(from);
+    if (to) filter.timestamp.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+const csvEscape = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// List audit events with filtering and pagination (Admin only)
+router.get('/', requirePermission('view_audit'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const skip = (page - 1) * limit;
+
+    const filter = buildFilter(req.query);
+
+    const total = await AuditEvent.countDocuments(filter);
+
+    const events = await AuditEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit events',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Export audit events as CSV or JSON (Admin only)
+router.get('/export', requirePermission('view_audit'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: "Format must be 'csv' or 'json'",
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const filter = buildFilter(req.query);
+
+    const events = await AuditEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(EXPORT_MAX_ROWS)
+      .lean();
+
+    // Exports are themselves worth auditing
+    await recordAudit(req, {
+      action: 'audit.exported',
+      category: 'system',
+      targetType: 'AuditEvent',
+      metadata: { filter: req.query, count: events.length, format }
+    });
+
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json({ events, truncated: events.length === EXPORT_MAX_ROWS });
+    }
+
+    const columns = ['timestamp', 'action', 'category', 'outcome', 'actorName', 'actorRole', 'ip', 'userAgent', 'targetType', 'targetId', 'reason', 'changes'];
+    const lines = [
+      columns.join(','),
+      ...events.map(event => columns.map(column => csvEscape(
+        column === 'timestamp' ? event.timestamp.toISOString() : event[column]
+      )).join(','))
+    ];
+
+    res.type('text/csv').send(lines.join('\n'));
+
+  } catch (error) {
+    console.error('Export audit events error:', error);
+    res.status(500).json({
+      error: 'Failed to export audit events',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { 
   generateToken, 
   generateRefreshToken, 
+  generateMfaChallengeToken,
   verifyToken,
-  authenticateToken
+  authenticateToken,
+  JWT_EXPIRES_IN,
+  MFA_CHALLENGE_EXPIRES_IN
 } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+const { rateLimit } = require('../middleware/rateLimit');
+const { sendShipmentNotification } = require('../services/emailService');
+const { attachRole } = require('../services/accessService');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  buildOtpAuthUri,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isMfaRequired
+} = require('../services/mfaService');
+const {
+  PASSWORD_POLICY,
+  passwordPolicyValidator,
+  describePasswordPolicy
+} = require('../services/passwordPolicyService');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30');
+
+// Issue an access/refresh pair; a new family is started unless one is being rotated
+const issueTokens = async (user, req, rotate = null) => {
+  const family = rotate?.family || crypto.randomUUID();
+  const accessToken = generateToken({ userId: user._id, role: user.role });
+  const refreshToken = generateRefreshToken({ userId: user._id, family });
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  if (rotate) {
+    // Lost the race to another rotation of the same token
+    if (!await user.rotateRefreshToken(rotate.token, refreshToken, expiresAt, req.headers['user-agent'], family)) {
+      return null;
+    }
+  } else {
+    await user.addRefreshToken(refreshToken, expiresAt, req.headers['user-agent'], family);
+  }
+
+  return { accessToken, refreshToken, expiresIn: JWT_EXPIRES_IN };
+};
+
+// Finish a login (after the password and, if enabled, the 2FA step)
+const completeLogin = async (user, req, res, metadata) => {
+  await user.resetLoginAttempts();
+  await attachRole(user);
+
+  const tokens = await issueTokens(user, req);
+
+  await recordAudit(req, {
+    action: 'auth.login',
+    category: 'auth',
+    actor: user,
+    targetType: 'User',
+    targetId: user._id,
+    metadata
+  });
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      fullName: user.fullName,
+      lastLogin: user.lastLogin
+    },
+    tokens,
+    // Policy requires 2FA for this role; privileged actions are refused until it is enabled
+    mfaEnrollmentRequired: isMfaRequired(user) && !user.mfa?.enabled
+  });
+};
+
+// Check a TOTP or recovery code for an enrolled user; saves the consumed step or code.
+// Returns 'totp', 'recovery' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.mfa.secret), code, user.mfa.lastUsedStep ?? null);
+    if (step === null) return null;
+
+    // Conditional on the previous step so two requests cannot both spend the same code
+    const claimed = await User.updateOne(
+      { _id: user._id, 'mfa.lastUsedStep': user.mfa.lastUsedStep ?? null },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    return claimed.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const claimed = await User.updateOne(
+      { _id: user._id, 'mfa.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+      { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return claimed.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  return null;
+};
+
 // Validation rules
 const registerValidation = [
   body('username')
@@ -22,8 +125,7 @@ const registerValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+    .custom(passwordPolicyValidator)
 ];
 
 const loginValidation = [
@@ -35,6 +137,12 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const refreshValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 // Register new user
 router.post('/register', registerValidation, async (req, res) => {
   try {
@@ -74,11 +182,16 @@ router.post('/register', registerValidation, async (req, res) => {
 
     await user.save();
 
-    const accessToken = generateToken({ userId: user._id, role: user.role });
-    const refreshToken = generateRefreshToken({ userId: user._id });
+    const tokens = await issueTokens(user, req);
 
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await user.addRefreshToken(refreshToken, expiresAt, req.headers['user-agent']);
+    await recordAudit(req, {
+      action: 'auth.register',
+      category: 'auth',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      after: user
+    });
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -89,11 +202,7 @@ router.post('/register', registerValidation, async (req, res) => {
         role: user.role,
         fullName: user.fullName
       },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: '1h'
-      }
+      tokens
     });
 
   } catch (error) {
@@ -105,8 +214,71 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+// Accept an admin invite: set a password and activate the account
+router.post('/accept-invite', [
+  body('token')
+    .notEmpty()
+    .withMessage('Invite token is required'),
+  body('password')
+    .custom(passwordPolicyValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findByInviteToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invite is invalid or has expired',
+        code: 'INVITE_INVALID'
+      });
+    }
+
+    user.setPassword(req.body.password, PASSWORD_POLICY.historySize);
+    user.isActive = true;
+    user.inviteTokenHash = undefined;
+    user.inviteExpiresAt = undefined;
+    await user.save();
+
+    const tokens = await issueTokens(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.invite_accepted',
+      category: 'auth',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.json({
+      message: 'Invite accepted successfully',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        fullName: user.fullName
+      },
+      tokens
+    });
+
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      error: 'Failed to accept invite',
+      code: 'INVITE_ERROR'
+    });
+  }
+});
+
 // Login user
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', rateLimit('login'), loginValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -121,6 +293,14 @@ router.post('/login', loginValidation, async (req, res) => {
     const user = await User.findByEmailOrUsername(identifier);
 
     if (!user) {
+      await recordAudit(req, {
+        action: 'auth.login',
+        category: 'auth',
+        outcome: 'FAILURE',
+        reason: 'UNKNOWN_USER',
+        metadata: { identifier }
+      });
+
       return res.status(401).json({
         error: 'Invalid credentials',
         code: 'INVALID_CREDENTIALS'
@@ -128,6 +308,16 @@ router.post('/login', loginValidation, async (req, res) => {
     }
 
     if (user.isLocked) {
+      await recordAudit(req, {
+        action: 'auth.login',
+        category: 'auth',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id,
+        outcome: 'FAILURE',
+        reason: 'ACCOUNT_LOCKED'
+      });
+
       return res.status(423).json({
         error: 'Account is temporarily locked due to too many failed login attempts',
         code: 'ACCOUNT_LOCKED'
@@ -138,6 +328,16 @@ router.post('/login', loginValidation, async (req, res) => {
 
     if (!isPasswordValid) {
       await user.incLoginAttempts();
+
+      await recordAudit(req, {
+        action: 'auth.login',
+        category: 'auth',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id,
+        outcome: 'FAILURE',
+        reason: 'INVALID_PASSWORD'
+      });
       
       return res.status(401).json({
         error: 'Invalid credentials',
@@ -145,33 +345,557 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    await user.resetLoginAttempts();
+    // Two-factor accounts get a short-lived challenge instead of tokens
+    if (user.mfa?.enabled) {
+      const challengeToken = generateMfaChallengeToken({ userId: user._id });
 
-    const accessToken = generateToken({ userId: user._id, role: user.role });
-    const refreshToken = generateRefreshToken({ userId: user._id });
+      await recordAudit(req, {
+        action: 'auth.mfa_challenge',
+        category: 'auth',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id
+      });
 
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await user.addRefreshToken(refreshToken, expiresAt, req.headers['user-agent']);
+      return res.json({
+        message: 'Two-factor code required',
+        mfaRequired: true,
+        challengeToken,
+        expiresIn: MFA_CHALLENGE_EXPIRES_IN
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        fullName: user.fullName,
-        lastLogin: user.lastLogin
-      },
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: '1h'
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+// Revoke a refresh token family whose rotated-out token was presented again
+const rejectReusedToken = async (req, res, user, family) => {
+  await user.revokeTokenFamily(family);
+  console.warn(`Refresh token reuse detected for user ${user.username}, family ${family} revoked`);
+
+  await recordAudit(req, {
+    action: 'auth.refresh_reuse_detected',
+    category: 'auth',
+    actor: user,
+    targetType: 'User',
+    targetId: user._id,
+    outcome: 'FAILURE',
+    reason: 'REFRESH_TOKEN_REUSED',
+    metadata: { family }
+  });
+
+  return res.status(401).json({
+    error: 'Refresh token reuse detected. Please log in again.',
+    code: 'REFRESH_TOKEN_REUSED'
+  });
+};
+
+// Rotate refresh token and issue a new access token
+router.post('/refresh', refreshValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { refreshToken } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token',
+        code: error.name === 'TokenExpiredError' ? 'REFRESH_TOKEN_EXPIRED' : 'REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    if (decoded.type !== 'refresh') {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    const stored = user.refreshTokens.find(rt => rt.token === refreshToken);
+
+    if (!stored) {
+      // A correctly signed token that is no longer on record while its family
+      // is still live means a rotated-out token is being replayed
+      const familyActive = decoded.family &&
+        user.refreshTokens.some(rt => rt.family === decoded.family);
+
+      if (familyActive) {
+        return rejectReusedToken(req, res, user, decoded.family);
       }
+
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked',
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const tokens = await issueTokens(user, req, { token: refreshToken, family: stored.family });
+
+    // Another request rotated this token first: the same token was presented twice
+    if (!tokens) {
+      return rejectReusedToken(req, res, user, stored.family);
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      tokens
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed',
+      code: 'REFRESH_ERROR'
+    });
+  }
+});
+
+// Logout user (revokes the given refresh token)
+router.post('/logout', refreshValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { refreshToken } = req.body;
+
+    // An expired or forged token is already unusable, so logout still succeeds
+    const decoded = jwt.decode(refreshToken);
+    const user = decoded?.userId ? await User.findById(decoded.userId) : null;
+
+    if (user && user.refreshTokens.some(rt => rt.token === refreshToken)) {
+      await user.removeRefreshToken(refreshToken);
+
+      await recordAudit(req, {
+        action: 'auth.logout',
+        category: 'auth',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id
+      });
+    }
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+});
+
+// Logout from every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    await user.revokeAllRefreshTokens();
+
+    await recordAudit(req, {
+      action: 'auth.logout_all',
+      category: 'auth',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.json({ message: 'All sessions revoked successfully' });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+});
+
+// List active sessions for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('refreshTokens');
+
+    const sessions = user.refreshTokens
+      .filter(rt => !rt.expiresAt || rt.expiresAt > Date.now())
+      .map(rt => ({
+        id: rt._id,
+        deviceInfo: rt.deviceInfo,
+        createdAt: rt.createdAt,
+        expiresAt: rt.expiresAt
+      }));
+
+    res.json({ sessions });
+
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    const session = user.refreshTokens.id(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.family) {
+      await user.revokeTokenFamily(session.family);
+    } else {
+      await user.removeRefreshToken(session.token);
+    }
+
+    await recordAudit(req, {
+      action: 'auth.session_revoked',
+      category: 'auth',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { sessionId: req.params.sessionId, deviceInfo: session.deviceInfo }
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+// Describe the password policy so clients can show requirements up front
+router.get('/password-policy', (req, res) => {
+  res.json({ policy: describePasswordPolicy() });
+});
+
+// Email a single-use reset link. Always answers the same way so it cannot be used to probe accounts.
+router.post('/forgot-password', rateLimit('passwordReset'), [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true, accountType: { $ne: 'SERVICE' } });
+
+    if (user) {
+      const token = user.createPasswordResetToken(PASSWORD_RESET_TTL_MINUTES);
+      await user.save();
+
+      await sendShipmentNotification({
+        type: 'PASSWORD_RESET',
+        userEmail: user.email,
+        userName: user.firstName || user.username,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+        actionUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password?token=${token}`
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.password_reset_requested',
+      category: 'auth',
+      actor: user,
+      targetType: user ? 'User' : undefined,
+      targetId: user?._id,
+      outcome: user ? 'SUCCESS' : 'FAILURE',
+      reason: user ? undefined : 'UNKNOWN_EMAIL',
+      metadata: user ? undefined : { email: req.body.email }
+    });
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to start password reset',
+      code: 'RESET_ERROR'
+    });
+  }
+});
+
+// Set a new password with a reset token; signs out every session
+router.post('/reset-password', rateLimit('passwordReset'), [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .custom(passwordPolicyValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+    const user = await User.findByPasswordResetToken(String(token));
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired',
+        code: 'RESET_TOKEN_INVALID'
+      });
+    }
+
+    if (await user.isPasswordReused(password, PASSWORD_POLICY.historySize)) {
+      return res.status(400).json({
+        error: `Password must differ from your last ${PASSWORD_POLICY.historySize + 1} passwords`,
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    // Claim the token atomically so two concurrent resets cannot both use it
+    const claimed = await User.updateOne(
+      { _id: user._id, passwordResetTokenHash: user.passwordResetTokenHash },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired',
+        code: 'RESET_TOKEN_INVALID'
+      });
+    }
+
+    user.setPassword(password, PASSWORD_POLICY.historySize);
+    user.refreshTokens = [];
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await sendShipmentNotification({
+      type: 'PASSWORD_CHANGED',
+      userEmail: user.email,
+      userName: user.firstName || user.username
+    });
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      category: 'auth',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Failed to reset password',
+      code: 'RESET_ERROR'
+    });
+  }
+});
+
+// Change password for the signed-in user; revokes every session and issues a fresh pair
+router.post('/change-password', authenticateToken, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .custom(passwordPolicyValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.userId);
+
+    if (!(await user.comparePassword(currentPassword))) {
+      await recordAudit(req, {
+        action: 'auth.password_changed',
+        category: 'auth',
+        targetType: 'User',
+        targetId: user._id,
+        outcome: 'FAILURE',
+        reason: 'INVALID_PASSWORD'
+      });
+
+      return res.status(400).json({
+        error: 'Current password is incorrect',
+        code: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    if (await user.isPasswordReused(newPassword, PASSWORD_POLICY.historySize)) {
+      return res.status(400).json({
+        error: `Password must differ from your last ${PASSWORD_POLICY.historySize + 1} passwords`,
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    user.setPassword(newPassword, PASSWORD_POLICY.historySize);
+    user.refreshTokens = [];
+    await user.save();
+
+    const tokens = await issueTokens(user, req);
+
+    await sendShipmentNotification({
+      type: 'PASSWORD_CHANGED',
+      userEmail: user.email,
+      userName: user.firstName || user.username
+    });
+
+    await recordAudit(req, {
+      action: 'auth.password_changed',
+      category: 'auth',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.json({
+      message: 'Password changed successfully. Other sessions have been signed out.',
+      tokens
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Failed to change password',
+      code: 'CHANGE_PASSWORD_ERROR'
+    });
+  }
+});
+
+// Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+router.post('/mfa/verify', rateLimit('login'), [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        error: 'A two-factor code or recovery code is required',
+        code: 'MFA_CODE_REQUIRED'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch (error) {
+      decoded = null;
+    }
+
+    const user = decoded?.type === 'mfa_challenge' ? await User.findById(decoded.userId) : null;
+
+    if (!user || !user.isActive || !user.mfa?.enabled) {
+      return res.status(401).json({
+        error: 'Two-factor challenge is invalid or has expired. Please log in again.',
+        code: 'MFA_CHALLENGE_INVALID'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      await user.incLoginAttempts();
+
+      await recordAudit(req, {
+        action: 'auth.login',
+        category: 'auth',
+        actor: user,
+        targetType: 'User',
+        targetId: user._id,
+        outcome: 'FAILURE',
+        reason: 'INVALID_MFA_CODE'
+      });
+
+      return res.status(401).json({
+        error: 'Invalid two-factor code',
+        code: 'MFA_CODE_INVALID'
+      });
+    }
+
+    await completeLogin(user, req, res, { mfa: method });
+
+  } catch (error) {
+    console.error('MFA verify error:', error);
     res.status(500).json({
       error: 'Login failed',
       code: 'LOGIN_ERROR'
@@ -179,6 +903,269 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Two-factor status for the current user
+router.get('/mfa/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('mfa role');
+
+    res.json({
+      enabled: !!user.mfa?.enabled,
+      enabledAt: user.mfa?.enabledAt,
+      recoveryCodesRemaining: (user.mfa?.recoveryCodes || []).filter(rc => !rc.usedAt).length,
+      required: isMfaRequired(req.user)
+    });
+
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch two-factor status',
+      code: 'MFA_ERROR'
+    });
+  }
+});
+
+// Start enrollment: returns a new secret and otpauth URI; nothing changes until /mfa/enable
+router.post('/mfa/setup', authenticateToken, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (user.mfa?.enabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        error: 'Password is incorrect',
+        code: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    const secret = generateSecret();
+    user.set('mfa.pendingSecret', encryptSecret(secret));
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, user.email)
+    });
+
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor setup',
+      code: 'MFA_ERROR'
+    });
+  }
+});
+
+// Finish enrollment by proving the authenticator works; returns recovery codes once
+router.post('/mfa/enable', authenticateToken, [
+  body('code')
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (user.mfa?.enabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.mfa?.pendingSecret) {
+      return res.status(400).json({
+        error: 'Start two-factor setup first',
+        code: 'MFA_SETUP_REQUIRED'
+      });
+    }
+
+    const secret = decryptSecret(user.mfa.pendingSecret);
+    const step = verifyTotp(secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid two-factor code',
+        code: 'MFA_CODE_INVALID'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.mfa = {
+      enabled: true,
+      secret: user.mfa.pendingSecret,
+      pendingSecret: undefined,
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      recoveryCodes: hashes
+    };
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.mfa_enabled',
+      category: 'auth',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      code: 'MFA_ERROR'
+    });
+  }
+});
+
+// Replace every recovery code
+router.post('/mfa/recovery-codes', authenticateToken, [
+  body('code')
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        error: 'Invalid two-factor code',
+        code: 'MFA_CODE_INVALID'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'mfa.recoveryCodes': hashes } });
+
+    await recordAudit(req, {
+      action: 'auth.mfa_recovery_codes_regenerated',
+      category: 'auth',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.json({ recoveryCodes: codes });
+
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate recovery codes',
+      code: 'MFA_ERROR'
+    });
+  }
+});
+
+// Turn two-factor off; refused when policy requires it for the user's role
+router.post('/mfa/disable', authenticateToken, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (isMfaRequired(req.user)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is required for your role',
+        code: 'MFA_REQUIRED_BY_POLICY'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        error: 'Password is incorrect',
+        code: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, req.body))) {
+      return res.status(400).json({
+        error: 'Invalid two-factor code',
+        code: 'MFA_CODE_INVALID'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { mfa: { enabled: false } } });
+
+    await recordAudit(req, {
+      action: 'auth.mfa_disabled',
+      category: 'auth',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      code: 'MFA_ERROR'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -194,6 +1181,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         department: req.user.department,
         lastLogin: req.user.lastLogin,
         emailNotifications: req.user.emailNotifications,
+        mfaEnabled: !!req.user.mfa?.enabled,
         createdAt: req.user.createdAt
       }
     });
@@ -1,24 +1,56 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Contract = require('../models/Contract');
+const ContractVersion = require('../models/ContractVersion');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const ThresholdPolicy = require('../models/ThresholdPolicy');
 const { requirePermission } = require('../middleware/auth');
+const { contractFilter, isAssignedScope } = require('../services/accessService');
+const { recordAudit } = require('../services/auditService');
+const { evaluateThresholdAlerts } = require('../services/alertService');
+const { shippedInPeriod, releasePeriodLock } = require('../services/allowanceService');
+const { unknownSkus, shippedBySku, reservedBySku, skuBreakdown } = require('../services/skuService');
+const { withLock } = require('../services/lockService');
+const { getDefaultPolicy, findPolicyByName } = require('../services/thresholdPolicyService');
 
 const router = express.Router();
 
+// Fields that may be changed through PUT and are tracked in version history
+const VERSIONED_FIELDS = [
+  'deviceCount',
+  'threshold',
+  'thresholdPolicy',
+  'clientName',
+  'priority',
+  'contractStartDate',
+  'contractEndDate',
+  'tags'
+];
+
 // Get all contracts with filtering and pagination
 router.get('/', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { status, priority, search, sortBy = 'lastUpdated', sortOrder = 'desc' } = req.query;
+    const { status, priority, search, parentContractId, isMaster, sortBy = 'lastUpdated', sortOrder = 'desc' } = req.query;
 
-    const filter = {};
+    const filter = contractFilter(req.user);
     
     if (priority) {
       filter.priority = priority;
     }
 
+    if (parentContractId) {
+      filter.parentContractId = parentContractId;
+    }
+
+    if (isMaster !== undefined) {
+      filter.isMaster = isMaster === 'true';
+    }
+
     if (search) {
       filter.$or = [
         { contractId: { $regex: search, $options: 'i' } },
@@ -36,9 +68,40 @@ router.get('/', async (req, res) => {
               100
             ]
           },
+          remainingCapacity: {
+            $max: [
+              0,
+              {
+                $subtract: [
+                  '$threshold',
+                  { $add: ['$batteriesShipped', { $ifNull: ['$batteriesReserved', 0] }] }
+                ]
+              }
+            ]
+          },
+          periodRemaining: {
+            $cond: [
+              { $ifNull: ['$allowance', false] },
+              {
+                $max: [
+                  0,
+                  {
+                    $subtract: [
+                      { $add: ['$allowance.limit', '$allowance.carriedOver'] },
+                      { $add: ['$allowance.shippedThisPeriod', { $ifNull: ['$batteriesReserved', 0] }] }
+                    ]
+                  }
+                ]
+              },
+              null
+            ]
+          },
           status: {
             $switch: {
               branches: [
+                // Same precedence as the model's status virtual: term first, then lock, then usage
+                { case: { $gt: ['$contractStartDate', '$$NOW'] }, then: 'PENDING_START' },
+                { case: { $lt: [{ $ifNull: ['$contractEndDate', '$$NOW'] }, '$$NOW'] }, then: 'EXPIRED' },
                 { case: { $eq: ['$isLocked', true] }, then: 'LOCKED' },
                 { 
                   case: { 
@@ -66,6 +129,43 @@ router.get('/', async (req, res) => {
       }
     ];
 
+    // Masters get their children's usage rolled up next to the pool figures
+    pipeline.push(
+      {
+        $lookup: {
+          from: 'contracts',
+          localField: '_id',
+          foreignField: 'parentContract',
+          as: 'children'
+        }
+      },
+      {
+        $addFields: {
+          rollup: {
+            $cond: [
+              { $eq: ['$isMaster', true] },
+              {
+                childCount: { $size: '$children' },
+                lockedChildren: {
+                  $size: { $filter: { input: '$children', cond: { $eq: ['$$this.isLocked', true] } } }
+                },
+                deviceCount: { $sum: '$children.deviceCount' },
+                childThresholds: { $sum: '$children.threshold' },
+                batteriesShipped: { $sum: '$children.batteriesShipped' },
+                batteriesReserved: { $sum: '$children.batteriesReserved' },
+                batteriesReturned: { $sum: '$children.batteriesReturned' },
+                poolLimit: '$threshold',
+                poolRemaining: '$remainingCapacity',
+                poolPercentage: '$thresholdPercentage'
+              },
+              null
+            ]
+          }
+        }
+      },
+      { $project: { children: 0 } }
+    );
+
     if (status) {
       pipeline.push({ $match: { status } });
     }
@@ -107,9 +207,10 @@ router.get('/:contractId', async (req, res) => {
   try {
     const { contractId } = req.params;
 
-    const contract = await Contract.findOne({ contractId })
+    const contract = await Contract.findOne({ contractId, ...contractFilter(req.user) })
       .populate('createdBy', 'username fullName')
-      .populate('lastModifiedBy', 'username fullName');
+      .populate('lastModifiedBy', 'username fullName')
+      .populate('thresholdPolicy', 'name description');
 
     if (!contract) {
       return res.status(404).json({
@@ -118,7 +219,16 @@ router.get('/:contractId', async (req, res) => {
       });
     }
 
-    res.json({ contract });
+    if (!contract.isMaster) {
+      return res.json({ contract });
+    }
+
+    // Only the children the caller may read themselves; the master's totals cover the rest
+    const children = await Contract.find({ ...contractFilter(req.user), parentContract: contract._id })
+      .select('contractId clientName deviceCount threshold batteriesShipped batteriesReserved isLocked lockReason')
+      .sort({ contractId: 1 });
+
+    res.json({ contract, children });
 
   } catch (error) {
     console.error('Get contract error:', error);
@@ -129,11 +239,22 @@ router.get('/:contractId', async (req, res) => {
   }
 });
 
+// The contract term includes its last day: a date-only end date ("2026-12-31")
+// means the end of that UTC day, not its first millisecond
+const toEndDate = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59.999Z`) : new Date(value)
+);
+
 // Create new contract
 router.post('/', requirePermission('create'), [
   body('contractId').notEmpty().matches(/^[A-Z0-9-]+$/),
   body('deviceCount').isInt({ min: 1 }),
-  body('threshold').isInt({ min: 1 })
+  body('threshold').optional().isInt({ min: 1 }).toInt(),
+  body('thresholdPolicy').optional().isString().trim().notEmpty(),
+  body('isMaster').optional().isBoolean().toBoolean(),
+  body('parentContractId').optional().isString().trim().notEmpty(),
+  body('contractStartDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('contractEndDate').optional({ values: 'null' }).isISO8601().customSanitizer(toEndDate)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,7 +265,28 @@ router.post('/', requirePermission('create'), [
       });
     }
 
-    const { contractId, deviceCount, threshold, clientName, priority } = req.body;
+    const { contractId, deviceCount, threshold, thresholdPolicy, clientName, priority, contractStartDate, contractEndDate, isMaster = false, parentContractId } = req.body;
+
+    if (isMaster && parentContractId) {
+      return res.status(400).json({
+        error: 'A master agreement cannot itself belong to a master agreement',
+        code: 'INVALID_HIERARCHY'
+      });
+    }
+
+    if (threshold && thresholdPolicy) {
+      return res.status(400).json({
+        error: 'Provide either a threshold or a threshold policy, not both',
+        code: 'THRESHOLD_CONFLICT'
+      });
+    }
+
+    if (contractStartDate && contractEndDate && contractStartDate > contractEndDate) {
+      return res.status(400).json({
+        error: 'Contract start date must be before end date',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
 
     const existingContract = await Contract.findOne({ contractId });
     if (existingContract) {
@@ -154,19 +296,71 @@ router.post('/', requirePermission('create'), [
       });
     }
 
+    let master = null;
+    if (parentContractId) {
+      master = await Contract.findOne({ contractId: parentContractId, isMaster: true });
+      if (!master) {
+        return res.status(400).json({
+          error: `Master agreement ${parentContractId} not found`,
+          code: 'MASTER_NOT_FOUND'
+        });
+      }
+    }
+
+    // Without an explicit threshold, the threshold comes from a policy
+    let policy = null;
+    if (thresholdPolicy) {
+      policy = await findPolicyByName(thresholdPolicy);
+      if (!policy) {
+        return res.status(400).json({
+          error: `Threshold policy '${thresholdPolicy}' not found`,
+          code: 'POLICY_NOT_FOUND'
+        });
+      }
+    } else if (!threshold) {
+      policy = await getDefaultPolicy();
+    }
+
     const contract = new Contract({
       contractId,
       deviceCount,
-      threshold: threshold || Math.floor(deviceCount * 1.2),
+      threshold: policy ? policy.computeThreshold({ deviceCount, clientName, priority }) : threshold,
+      thresholdPolicy: policy ? policy._id : null,
       clientName,
       priority,
-      createdBy: req.userId
+      contractStartDate,
+      contractEndDate,
+      isMaster,
+      parentContract: master ? master._id : null,
+      parentContractId: master ? master.contractId : null,
+      // A child of a locked master starts out locked with it
+      ...(master && master.isLocked ? { isLocked: true, lockReason: 'MASTER_LOCKED' } : {}),
+      createdBy: req.userId,
+      // Creators limited to assigned contracts keep access to what they create
+      accessList: isAssignedScope(req.user) ? [{ user: req.userId, grantedBy: req.userId }] : []
     });
 
     await contract.save();
 
+    await ContractVersion.create({
+      contract: contract._id,
+      contractId,
+      version: contract.version,
+      changes: ContractVersion.diff({}, contract.toObject(), VERSIONED_FIELDS),
+      reason: 'Contract created',
+      changedBy: req.userId
+    });
+
+    await recordAudit(req, {
+      action: 'contract.created',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      after: contract
+    });
+
     const io = req.app.get('io');
-    io.emit('contract:created', { contract });
+    io.publish('contract:created', { contract });
 
     res.status(201).json({
       message: 'Contract created successfully',
@@ -182,8 +376,235 @@ router.post('/', requirePermission('create'), [
   }
 });
 
+// Update contract (Manager/Admin) - every change is stored as a new version
+router.put('/:contractId', requirePermission('update', { contract: req => req.params.contractId }), [
+  body('deviceCount').optional().isInt({ min: 1 }).toInt(),
+  body('threshold').optional().isInt({ min: 1 }).toInt(),
+  body('thresholdPolicy').optional({ values: 'null' }).isString().trim().notEmpty(),
+  body('clientName').optional().isString().trim(),
+  body('priority').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']),
+  body('contractStartDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('contractEndDate').optional({ values: 'null' }).isISO8601().customSanitizer(toEndDate),
+  body('tags').optional().isArray(),
+  body('tags.*').optional().isString().trim(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { contractId } = req.params;
+    const { reason } = req.body;
+
+    const contract = await Contract.findOne({ contractId });
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    const updates = {};
+    for (const field of VERSIONED_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    // thresholdPolicy is given by name; null detaches the contract from its policy
+    let policy = null;
+    if (req.body.thresholdPolicy) {
+      policy = await findPolicyByName(req.body.thresholdPolicy);
+      if (!policy) {
+        return res.status(400).json({
+          error: `Threshold policy '${req.body.thresholdPolicy}' not found`,
+          code: 'POLICY_NOT_FOUND'
+        });
+      }
+      updates.thresholdPolicy = policy._id;
+    }
+
+    const before = contract.toObject();
+    const policyId = updates.thresholdPolicy !== undefined ? updates.thresholdPolicy : before.thresholdPolicy;
+
+    // Policy-managed thresholds follow the policy whenever device count, priority or client change
+    if (policyId) {
+      if (updates.threshold !== undefined) {
+        return res.status(400).json({
+          error: 'Threshold is managed by a threshold policy; set thresholdPolicy to null to set it by hand',
+          code: 'THRESHOLD_MANAGED_BY_POLICY'
+        });
+      }
+
+      policy = policy || await ThresholdPolicy.findById(policyId);
+      if (policy) {
+        updates.threshold = policy.computeThreshold({ ...before, ...updates });
+      }
+    }
+
+    const changes = ContractVersion.diff(before, updates, VERSIONED_FIELDS);
+
+    if (changes.length === 0) {
+      return res.json({
+        message: 'No changes to apply',
+        contract
+      });
+    }
+
+    if (changes.some(change => change.field === 'threshold') && !reason && !policy) {
+      return res.status(400).json({
+        error: 'A reason is required when changing the threshold',
+        code: 'REASON_REQUIRED'
+      });
+    }
+
+    const versionReason = reason || (policy && changes.some(change => change.field === 'threshold')
+      ? `Recomputed by threshold policy '${policy.name}'`
+      : undefined);
+
+    const startDate = updates.contractStartDate !== undefined ? updates.contractStartDate : before.contractStartDate;
+    const endDate = updates.contractEndDate !== undefined ? updates.contractEndDate : before.contractEndDate;
+
+    if (startDate && endDate && startDate > endDate) {
+      return res.status(400).json({
+        error: 'Contract start date must be before end date',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    // Optimistic concurrency: only apply if nobody else versioned the contract meanwhile
+    const updatedContract = await Contract.findOneAndUpdate(
+      { _id: contract._id, version: contract.version },
+      {
+        $set: {
+          ...Object.fromEntries(changes.map(change => [change.field, change.newValue])),
+          lastModifiedBy: req.userId,
+          lastUpdated: new Date()
+        },
+        $inc: { version: 1 }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedContract) {
+      return res.status(409).json({
+        error: 'Contract was modified by another request. Please reload and try again.',
+        code: 'CONTRACT_MODIFIED'
+      });
+    }
+
+    const version = await ContractVersion.create({
+      contract: updatedContract._id,
+      contractId,
+      version: updatedContract.version,
+      changes,
+      reason: versionReason,
+      changedBy: req.userId
+    });
+
+    await recordAudit(req, {
+      action: 'contract.updated',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      before,
+      after: updatedContract,
+      reason: versionReason,
+      metadata: { version: updatedContract.version }
+    });
+
+    const io = req.app.get('io');
+    io.publish('contract:updated', {
+      contractId,
+      version: updatedContract.version,
+      changes,
+      changedBy: req.user.username,
+      reason: versionReason
+    });
+
+    if (changes.some(change => change.field === 'threshold')) {
+      await evaluateThresholdAlerts(io, updatedContract._id);
+    }
+
+    res.json({
+      message: 'Contract updated successfully',
+      contract: updatedContract,
+      version
+    });
+
+  } catch (error) {
+    console.error('Update contract error:', error);
+    res.status(500).json({
+      error: 'Failed to update contract',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Get contract version history
+router.get('/:contractId/history', async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { field } = req.query;
+
+    const contract = await Contract.findOne({ contractId, ...contractFilter(req.user) }).select('_id version');
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    const filter = { contract: contract._id };
+
+    if (field) {
+      filter['changes.field'] = field;
+    }
+
+    const total = await ContractVersion.countDocuments(filter);
+
+    const history = await ContractVersion.find(filter)
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('changedBy', 'username fullName')
+      .lean();
+
+    res.json({
+      contractId,
+      currentVersion: contract.version,
+      history,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get contract history error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch contract history',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
 // Toggle contract lock status (Admin only)
-router.patch('/:contractId/lock', requirePermission('unlock_contracts'), async (req, res) => {
+router.patch('/:contractId/lock', requirePermission('unlock_contracts', { contract: req => req.params.contractId }), async (req, res) => {
   try {
     const { contractId } = req.params;
     const { isLocked, reason } = req.body;
@@ -197,12 +618,27 @@ router.patch('/:contractId/lock', requirePermission('unlock_contracts'), async (
       });
     }
 
-    contract.isLocked = isLocked !== undefined ? isLocked : !contract.isLocked;
+    const before = { isLocked: contract.isLocked, lockReason: contract.lockReason };
+    const locking = isLocked !== undefined ? isLocked : !contract.isLocked;
+
+    // A child stays locked for as long as its master agreement is
+    if (!locking && contract.parentContract) {
+      const master = await Contract.findById(contract.parentContract).select('contractId isLocked');
+      if (master && master.isLocked) {
+        return res.status(409).json({
+          error: `Master agreement ${master.contractId} is locked. Unlock it first.`,
+          code: 'MASTER_LOCKED'
+        });
+      }
+    }
+
+    contract.isLocked = locking;
+    contract.lockReason = contract.isLocked ? 'MANUAL' : null;
     contract.lastModifiedBy = req.userId;
 
     const message = contract.isLocked 
       ? `Contract manually locked by ${req.user.username}${reason ? `: ${reason}` : ''}`
-      : `Contract unlocked by ${req.user.username}`;
+      : `Contract unlocked by ${req.user.username}${reason ? `: ${reason}` : ''}`;
 
     await contract.addNotification(
       req.user.email,
@@ -212,14 +648,40 @@ router.patch('/:contractId/lock', requirePermission('unlock_contracts'), async (
 
     await contract.save();
 
+    // Locking a master agreement locks its children; unlocking reopens the ones it locked
+    const cascaded = contract.isMaster
+      ? await Contract.cascadeMasterLock(contract._id, contract.isLocked)
+      : [];
+
+    await recordAudit(req, {
+      action: contract.isLocked ? 'contract.locked' : 'contract.unlocked',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      before,
+      after: { isLocked: contract.isLocked, lockReason: contract.lockReason },
+      reason,
+      metadata: contract.isMaster ? { cascadedTo: cascaded } : undefined
+    });
+
     const io = req.app.get('io');
-    io.emit('contract:lock_changed', {
+    io.publish('contract:lock_changed', {
       contractId: contract.contractId,
       isLocked: contract.isLocked,
       changedBy: req.user.username,
-      reason
+      reason,
+      ...(contract.isMaster ? { cascadedTo: cascaded } : {})
     });
 
+    for (const childId of cascaded) {
+      io.publish('contract:lock_changed', {
+        contractId: childId,
+        isLocked: contract.isLocked,
+        changedBy: req.user.username,
+        reason: `Master agreement ${contractId} ${contract.isLocked ? 'locked' : 'unlocked'}`
+      });
+    }
+
     res.json({
       message: `Contract ${contract.isLocked ? 'locked' : 'unlocked'} successfully`,
       contract
@@ -234,4 +696,758 @@ router.patch('/:contractId/lock', requirePermission('unlock_contracts'), async (
   }
 });
 
+// Allowance settings as shown in version history
+const allowanceConfig = (allowance) => (allowance ? {
+  period: allowance.period,
+  limit: allowance.limit,
+  carryOver: allowance.carryOver,
+  maxCarryOver: allowance.maxCarryOver ?? null
+} : null);
+
+// Replace (config) or remove (null) a contract's allowance as a new contract version.
+// Runs under the contract's shipment lock so period usage is counted consistently.
+const applyAllowance = (req, res, config) => {
+  const { contractId } = req.params;
+  const { reason } = req.body || {};
+
+  return withLock(req.app.get('redis'), `shipment:${contractId}`, async () => {
+    const contract = await Contract.findOne({ contractId });
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    const before = allowanceConfig(contract.allowance);
+    let allowance = null;
+
+    if (config) {
+      const current = contract.allowance;
+
+      // Same period type: keep counting the running period; otherwise start one from actual shipments
+      if (current && current.period === config.period && current.periodEnd > new Date()) {
+        allowance = { ...current.toObject(), ...config };
+      } else {
+        const { start, end } = Contract.periodBounds(config.period);
+        allowance = {
+          ...config,
+          periodStart: start,
+          periodEnd: end,
+          shippedThisPeriod: await shippedInPeriod(contractId, start, end),
+          carriedOver: 0
+        };
+      }
+    }
+
+    const after = allowanceConfig(allowance);
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return res.json({
+        message: 'No changes to apply',
+        contract
+      });
+    }
+
+    let updatedContract = await Contract.findOneAndUpdate(
+      { _id: contract._id, version: contract.version },
+      {
+        $set: { allowance, lastModifiedBy: req.userId, lastUpdated: new Date() },
+        $inc: { version: 1 }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedContract) {
+      return res.status(409).json({
+        error: 'Contract was modified by another request. Please reload and try again.',
+        code: 'CONTRACT_MODIFIED'
+      });
+    }
+
+    const changes = [{ field: 'allowance', oldValue: before, newValue: after }];
+
+    await ContractVersion.create({
+      contract: updatedContract._id,
+      contractId,
+      version: updatedContract.version,
+      changes,
+      reason,
+      changedBy: req.userId
+    });
+
+    // A raised or removed allowance can lift a period-limit lock straight away
+    const unlocked = await releasePeriodLock(updatedContract._id);
+    if (unlocked) {
+      updatedContract = unlocked;
+    }
+
+    await recordAudit(req, {
+      action: config ? 'contract.allowance_set' : 'contract.allowance_removed',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      before: { allowance: before },
+      after: { allowance: after },
+      reason,
+      metadata: { version: updatedContract.version, contractUnlocked: !!unlocked }
+    });
+
+    const io = req.app.get('io');
+    io.publish('contract:updated', {
+      contractId,
+      version: updatedContract.version,
+      changes,
+      changedBy: req.user.username,
+      reason
+    });
+
+    if (unlocked) {
+      io.publish('contract:lock_changed', {
+        contractId,
+        isLocked: false,
+        changedBy: req.user.username,
+        reason: 'Allowance no longer exceeded'
+      });
+    }
+
+    res.json({
+      message: config ? 'Allowance updated successfully' : 'Allowance removed successfully',
+      contract: updatedContract
+    });
+  });
+};
+
+// Errors from updates that run under the contract's shipment lock
+const sendLockedUpdateError = (res, error, what) => {
+  if (error.message === 'LOCK_NOT_ACQUIRED') {
+    return res.status(423).json({
+      error: 'Another shipment is being processed for this contract. Please try again.',
+      code: 'CONCURRENT_SHIPMENT'
+    });
+  }
+
+  if (error.message === 'LOCK_SERVICE_UNAVAILABLE') {
+    return res.status(503).json({
+      error: 'Locking service unavailable. Please try again shortly.',
+      code: 'LOCK_SERVICE_UNAVAILABLE'
+    });
+  }
+
+  console.error(`Update ${what} error:`, error);
+  res.status(500).json({
+    error: `Failed to update ${what}`,
+    code: 'UPDATE_ERROR'
+  });
+};
+
+// Set a per-period allowance (Manager/Admin); each change is stored as a new version
+router.put('/:contractId/allowance', requirePermission('update', { contract: req => req.params.contractId }), [
+  body('period').isIn(Object.keys(Contract.ALLOWANCE_PERIODS))
+    .withMessage(`Period must be one of: ${Object.keys(Contract.ALLOWANCE_PERIODS).join(', ')}`),
+  body('limit').isInt({ min: 1 }).withMessage('Limit must be a positive integer').toInt(),
+  body('carryOver').optional().isBoolean().toBoolean(),
+  body('maxCarryOver').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { period, limit, carryOver = false, maxCarryOver } = req.body;
+
+    await applyAllowance(req, res, {
+      period,
+      limit,
+      carryOver,
+      maxCarryOver: maxCarryOver ?? undefined
+    });
+
+  } catch (error) {
+    sendLockedUpdateError(res, error, 'allowance');
+  }
+});
+
+// Remove the allowance so only the lifetime threshold applies (Manager/Admin)
+router.delete('/:contractId/allowance', requirePermission('update', { contract: req => req.params.contractId }), async (req, res) => {
+  try {
+    await applyAllowance(req, res, null);
+  } catch (error) {
+    sendLockedUpdateError(res, error, 'allowance');
+  }
+});
+
+// SKU limits as shown in version history
+const skuLimitsConfig = (skuLimits) => (skuLimits || []).map(({ sku, threshold }) => ({ sku, threshold }));
+
+// Replace (limits) or remove (null) a contract's SKU limits as a new contract version.
+// combinedCap sets the threshold across all SKUs; null makes it the sum of the SKU limits,
+// undefined leaves it alone. Shipped and held counts are rebuilt from approved line items and active reservations.
+const applySkuLimits = (req, res, limits, combinedCap) => {
+  const { contractId } = req.params;
+  const { reason } = req.body || {};
+
+  return withLock(req.app.get('redis'), `shipment:${contractId}`, async () => {
+    const contract = await Contract.findOne({ contractId });
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    if (combinedCap !== undefined && contract.thresholdPolicy) {
+      return res.status(400).json({
+        error: 'Threshold is managed by a threshold policy; set thresholdPolicy to null to set a combined cap',
+        code: 'THRESHOLD_MANAGED_BY_POLICY'
+      });
+    }
+
+    let skuLimits = [];
+
+    if (limits) {
+      const missing = await unknownSkus(limits.map(limit => limit.sku));
+      if (missing.length > 0) {
+        return res.status(422).json({
+          error: `Not in the active battery catalog: ${missing.join(', ')}`,
+          code: 'UNKNOWN_SKU'
+        });
+      }
+
+      const shipped = await shippedBySku(contractId);
+      const reserved = await reservedBySku(contractId);
+      skuLimits = limits.map(({ sku, threshold }) => ({
+        sku,
+        threshold,
+        shipped: shipped[sku] || 0,
+        reserved: reserved[sku] || 0
+      }));
+    }
+
+    const threshold = combinedCap === undefined
+      ? contract.threshold
+      : combinedCap ?? skuLimits.reduce((sum, limit) => sum + limit.threshold, 0);
+
+    const changes = [];
+    const before = skuLimitsConfig(contract.skuLimits);
+    const after = skuLimitsConfig(skuLimits);
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field: 'skuLimits', oldValue: before, newValue: after });
+    }
+    if (threshold !== contract.threshold) {
+      changes.push({ field: 'threshold', oldValue: contract.threshold, newValue: threshold });
+    }
+
+    if (changes.length === 0) {
+      return res.json({
+        message: 'No changes to apply',
+        contract
+      });
+    }
+
+    const updatedContract = await Contract.findOneAndUpdate(
+      { _id: contract._id, version: contract.version },
+      {
+        $set: { skuLimits, threshold, lastModifiedBy: req.userId, lastUpdated: new Date() },
+        $inc: { version: 1 }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedContract) {
+      return res.status(409).json({
+        error: 'Contract was modified by another request. Please reload and try again.',
+        code: 'CONTRACT_MODIFIED'
+      });
+    }
+
+    await ContractVersion.create({
+      contract: updatedContract._id,
+      contractId,
+      version: updatedContract.version,
+      changes,
+      reason,
+      changedBy: req.userId
+    });
+
+    await recordAudit(req, {
+      action: limits ? 'contract.sku_limits_set' : 'contract.sku_limits_removed',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      before: { skuLimits: before, threshold: contract.threshold },
+      after: { skuLimits: after, threshold },
+      reason,
+      metadata: { version: updatedContract.version }
+    });
+
+    const io = req.app.get('io');
+    io.publish('contract:updated', {
+      contractId,
+      version: updatedContract.version,
+      changes,
+      changedBy: req.user.username,
+      reason,
+      skus: skuBreakdown(updatedContract)
+    });
+
+    if (threshold !== contract.threshold) {
+      await evaluateThresholdAlerts(io, updatedContract._id);
+    }
+
+    res.json({
+      message: limits ? 'SKU limits updated successfully' : 'SKU limits removed successfully',
+      contract: updatedContract
+    });
+  });
+};
+
+// Set per-SKU limits, optionally with a combined cap (Manager/Admin); each change is stored as a new version
+router.put('/:contractId/sku-limits', requirePermission('update', { contract: req => req.params.contractId }), [
+  body('limits').isArray({ min: 1 }).withMessage('At least one SKU limit is required'),
+  body('limits.*.sku').isString().trim().toUpperCase().notEmpty().withMessage('Each limit needs a SKU'),
+  body('limits.*.threshold').isInt({ min: 1 }).withMessage('SKU threshold must be a positive integer').toInt(),
+  body('combinedCap').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { limits, combinedCap } = req.body;
+
+    if (new Set(limits.map(limit => limit.sku)).size !== limits.length) {
+      return res.status(400).json({
+        error: 'Each SKU may only be listed once',
+        code: 'DUPLICATE_SKU'
+      });
+    }
+
+    await applySkuLimits(req, res, limits.map(({ sku, threshold }) => ({ sku, threshold })), combinedCap);
+
+  } catch (error) {
+    sendLockedUpdateError(res, error, 'SKU limits');
+  }
+});
+
+// Remove the SKU limits so shipments are only counted as a total (Manager/Admin)
+router.delete('/:contractId/sku-limits', requirePermission('update', { contract: req => req.params.contractId }), async (req, res) => {
+  try {
+    await applySkuLimits(req, res, null, undefined);
+  } catch (error) {
+    sendLockedUpdateError(res, error, 'SKU limits');
+  }
+});
+
+// Hold several locks at once, taken in the order given
+const withLocks = (redisClient, [lockKey, ...rest], fn) => withLock(
+  redisClient,
+  lockKey,
+  () => (rest.length > 0 ? withLocks(redisClient, rest, fn) : fn())
+);
+
+// Move a contract into (parentContractId) or out of (null) a master agreement (Manager/Admin).
+// The contract's shipped and reserved batteries move between the pools with it,
+// so the new master's pool must have room for them.
+router.put('/:contractId/parent', requirePermission('update', { contract: req => req.params.contractId }), [
+  body('parentContractId').optional({ values: 'null' }).isString().trim().notEmpty(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { contractId } = req.params;
+    const { reason } = req.body;
+    const parentContractId = req.body.parentContractId || null;
+
+    const contract = await Contract.findOne({ contractId });
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    if (contract.isMaster) {
+      return res.status(400).json({
+        error: 'A master agreement cannot itself belong to a master agreement',
+        code: 'INVALID_HIERARCHY'
+      });
+    }
+
+    if (parentContractId === contract.parentContractId) {
+      return res.json({
+        message: 'No changes to apply',
+        contract
+      });
+    }
+
+    let master = null;
+    if (parentContractId) {
+      master = await Contract.findOne({ contractId: parentContractId, isMaster: true });
+      if (!master) {
+        return res.status(400).json({
+          error: `Master agreement ${parentContractId} not found`,
+          code: 'MASTER_NOT_FOUND'
+        });
+      }
+    }
+
+    // Same order as shipments: the contract first, then the pools
+    const lockKeys = [
+      `shipment:${contractId}`,
+      ...[contract.parentContractId, parentContractId].filter(Boolean).sort().map(id => `pool:${id}`)
+    ];
+
+    const { updatedContract, previousMasterId, changes, lockChanged } = await withLocks(req.app.get('redis'), lockKeys, async () => {
+      await session.startTransaction();
+
+      const current = await Contract.findById(contract._id).session(session);
+      const shipped = current.batteriesShipped;
+      const reserved = current.batteriesReserved || 0;
+
+      if (current.parentContract) {
+        await Contract.updatePool(current.parentContract, { shipped: -shipped, reserved: -reserved }, session);
+      }
+
+      if (master) {
+        const joined = await Contract.findOneAndUpdate(
+          {
+            _id: master._id,
+            isMaster: true,
+            $expr: {
+              $lte: [
+                { $add: ['$batteriesShipped', { $ifNull: ['$batteriesReserved', 0] }, shipped, reserved] },
+                '$threshold'
+              ]
+            }
+          },
+          { $inc: { batteriesShipped: shipped, batteriesReserved: reserved }, $set: { lastUpdated: new Date() } },
+          { new: true, session }
+        );
+
+        if (!joined) {
+          throw new Error('POOL_LIMIT_EXCEEDED');
+        }
+        master = joined;
+      }
+
+      // The lock follows the master: joining a locked one locks, leaving one it locked reopens
+      const lockUpdate = {};
+      if (master && master.isLocked && !current.isLocked) {
+        Object.assign(lockUpdate, { isLocked: true, lockReason: 'MASTER_LOCKED' });
+      } else if (current.lockReason === 'MASTER_LOCKED' && !(master && master.isLocked)) {
+        Object.assign(lockUpdate, { isLocked: false, lockReason: null });
+      }
+
+      const updated = await Contract.findOneAndUpdate(
+        { _id: current._id, version: current.version },
+        {
+          $set: {
+            parentContract: master ? master._id : null,
+            parentContractId,
+            ...lockUpdate,
+            lastModifiedBy: req.userId,
+            lastUpdated: new Date()
+          },
+          $inc: { version: 1 }
+        },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        throw new Error('CONTRACT_MODIFIED');
+      }
+
+      const versionChanges = [{ field: 'parentContractId', oldValue: current.parentContractId, newValue: parentContractId }];
+
+      await ContractVersion.create([{
+        contract: updated._id,
+        contractId,
+        version: updated.version,
+        changes: versionChanges,
+        reason,
+        changedBy: req.userId
+      }], { session });
+
+      await session.commitTransaction();
+
+      return {
+        updatedContract: updated,
+        previousMasterId: current.parentContract,
+        changes: versionChanges,
+        lockChanged: lockUpdate.isLocked !== undefined
+      };
+    });
+
+    await recordAudit(req, {
+      action: 'contract.parent_changed',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      before: { parentContractId: changes[0].oldValue },
+      after: { parentContractId },
+      reason,
+      metadata: { version: updatedContract.version }
+    });
+
+    const io = req.app.get('io');
+    io.publish('contract:updated', {
+      contractId,
+      version: updatedContract.version,
+      changes,
+      changedBy: req.user.username,
+      reason
+    });
+
+    if (lockChanged) {
+      io.publish('contract:lock_changed', {
+        contractId,
+        isLocked: updatedContract.isLocked,
+        changedBy: req.user.username,
+        reason: parentContractId && updatedContract.isLocked
+          ? `Master agreement ${parentContractId} is locked`
+          : 'Left a locked master agreement'
+      });
+    }
+
+    // Both pools changed size
+    for (const masterId of [previousMasterId, master && master._id].filter(Boolean)) {
+      await evaluateThresholdAlerts(io, masterId);
+    }
+
+    res.json({
+      message: parentContractId
+        ? `Contract moved to master agreement ${parentContractId}`
+        : 'Contract removed from its master agreement',
+      contract: updatedContract
+    });
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+
+    if (error.message === 'POOL_LIMIT_EXCEEDED') {
+      return res.status(409).json({
+        error: "The contract's shipped and reserved batteries do not fit the master agreement's pool",
+        code: 'POOL_LIMIT_EXCEEDED'
+      });
+    }
+
+    if (error.message === 'CONTRACT_MODIFIED') {
+      return res.status(409).json({
+        error: 'Contract was modified by another request. Please reload and try again.',
+        code: 'CONTRACT_MODIFIED'
+      });
+    }
+
+    sendLockedUpdateError(res, error, 'master agreement');
+  } finally {
+    await session.endSession();
+  }
+});
+
+// List users granted access to a contract (Manager/Admin)
+router.get('/:contractId/access', requirePermission('assign_contracts'), async (req, res) => {
+  try {
+    const { contractId } = req.params;
+
+    const contract = await Contract.findOne({ contractId })
+      .select('contractId accessList')
+      .populate('accessList.user', 'username fullName email role')
+      .populate('accessList.grantedBy', 'username fullName');
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      contractId,
+      accessList: contract.accessList
+    });
+
+  } catch (error) {
+    console.error('Get contract access error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch contract access',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Grant or update a user's access to a contract (Manager/Admin).
+// Empty permissions = everything the user's role grants.
+router.put('/:contractId/access/:userId', requirePermission('assign_contracts'), [
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(Role.PERMISSIONS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { contractId, userId } = req.params;
+    const permissions = [...new Set(req.body.permissions || [])];
+
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId).select('username role') : null;
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const contract = await Contract.findOne({ contractId }).select('contractId accessList');
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    const before = contract.accessList.find(entry => entry.user.equals(user._id));
+    const entry = { user: user._id, permissions, grantedBy: req.userId, grantedAt: new Date() };
+
+    // Update the existing entry in place, or append one if the user has none
+    const updated = before
+      ? await Contract.findOneAndUpdate(
+        { _id: contract._id, 'accessList.user': user._id },
+        { $set: { 'accessList.$': entry } },
+        { new: true }
+      ).select('contractId accessList')
+      : await Contract.findOneAndUpdate(
+        { _id: contract._id, 'accessList.user': { $ne: user._id } },
+        { $push: { accessList: entry } },
+        { new: true }
+      ).select('contractId accessList');
+
+    if (!updated) {
+      return res.status(409).json({
+        error: 'Contract access was modified by another request. Please retry.',
+        code: 'CONTRACT_MODIFIED'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'contract.access_granted',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      before: before ? { user: user._id, permissions: before.permissions } : null,
+      after: { user: user._id, permissions },
+      metadata: { username: user.username }
+    });
+
+    const io = req.app.get('io');
+    io.to(`user:${user._id}`).emit('contract:access_granted', {
+      contractId,
+      permissions,
+      grantedBy: req.user.username,
+      timestamp: new Date()
+    });
+
+    res.json({
+      message: 'Contract access granted successfully',
+      contractId,
+      accessList: updated.accessList
+    });
+
+  } catch (error) {
+    console.error('Grant contract access error:', error);
+    res.status(500).json({
+      error: 'Failed to grant contract access',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Revoke a user's access to a contract (Manager/Admin)
+router.delete('/:contractId/access/:userId', requirePermission('assign_contracts'), async (req, res) => {
+  try {
+    const { contractId, userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({
+        error: 'Access entry not found',
+        code: 'ACCESS_NOT_FOUND'
+      });
+    }
+
+    const contract = await Contract.findOneAndUpdate(
+      { contractId, 'accessList.user': userId },
+      { $pull: { accessList: { user: userId } } },
+      { new: true }
+    ).select('contractId accessList');
+
+    if (!contract) {
+      return res.status(404).json({
+        error: 'Access entry not found',
+        code: 'ACCESS_NOT_FOUND'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'contract.access_revoked',
+      category: 'contract',
+      targetType: 'Contract',
+      targetId: contractId,
+      before: { user: userId },
+      after: null
+    });
+
+    const io = req.app.get('io');
+    io.in(`user:${userId}`).socketsLeave(`contract:${contractId}`);
+    io.to(`user:${userId}`).emit('contract:access_revoked', {
+      contractId,
+      revokedBy: req.user.username,
+      timestamp: new Date()
+    });
+
+    res.json({
+      message: 'Contract access revoked successfully',
+      contractId,
+      accessList: contract.accessList
+    });
+
+  } catch (error) {
+    console.error('Revoke contract access error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke contract access',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
 module.exports = router;
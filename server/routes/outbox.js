@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const EmailOutbox = require('../models/EmailOutbox');
+const { requirePermission } = require('../middleware/auth');
+const { retryMessage } = require('../services/outboxService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+router.use(requirePermission('manage_notifications'));
+
+// List outbox messages with filtering and pagination (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status, type, contractId } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (type) {
+      filter.type = type;
+    }
+
+    if (contractId) {
+      filter.contractId = contractId;
+    }
+
+    const total = await EmailOutbox.countDocuments(filter);
+
+    const messages = await EmailOutbox.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-mail.html -mail.text')
+      .lean();
+
+    const counts = await EmailOutbox.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      messages,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch outbox',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Get a single outbox message including its attempt log (Admin only).
+// Bodies are never returned: reset and invite mail carries live tokens.
+router.get('/:messageId', async (req, res) => {
+  try {
+    const message = mongoose.isValidObjectId(req.params.messageId)
+      ? await EmailOutbox.findById(req.params.messageId).select('-mail.html -mail.text').lean()
+      : null;
+
+    if (!message) {
+      return res.status(404).json({
+        error: 'Outbox message not found',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    res.json({ message });
+
+  } catch (error) {
+    console.error('Get outbox message error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch outbox message',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Re-queue every dead-lettered message (Admin only)
+router.post('/retry-dead', async (req, res) => {
+  try {
+    const result = await EmailOutbox.updateMany(
+      { status: 'DEAD' },
+      {
+        $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { lastError: 1, lockedUntil: 1 }
+      }
+    );
+
+    await recordAudit(req, {
+      action: 'outbox.retried',
+      category: 'system',
+      targetType: 'EmailOutbox',
+      metadata: { count: result.modifiedCount, scope: 'dead' }
+    });
+
+    res.json({
+      message: `${result.modifiedCount} message(s) re-queued`,
+      count: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Retry dead outbox error:', error);
+    res.status(500).json({
+      error: 'Failed to retry messages',
+      code: 'RETRY_ERROR'
+    });
+  }
+});
+
+// Re-queue a single message (Admin only)
+router.post('/:messageId/retry', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(404).json({
+        error: 'Outbox message not found',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const message = await retryMessage(req.params.messageId);
+
+    if (!message) {
+      return res.status(409).json({
+        error: 'Only DEAD or PENDING messages can be retried',
+        code: 'MESSAGE_NOT_RETRYABLE'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'outbox.retried',
+      category: 'system',
+      targetType: 'EmailOutbox',
+      targetId: message._id
+    });
+
+    res.json({
+      message: 'Message re-queued',
+      outbox: message
+    });
+
+  } catch (error) {
+    console.error('Retry outbox message error:', error);
+    res.status(500).json({
+      error: 'Failed to retry message',
+      code: 'RETRY_ERROR'
+    });
+  }
+});
+
+module.exports = router;
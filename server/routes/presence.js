@@ -0,0 +1,53 @@
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { listPresence, contractWatchers } = require('../socket/cluster');
+
+const router = express.Router();
+
+// Every connected user across all API nodes, with the contract and monitor rooms they watch
+router.get('/', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const users = await listPresence(req.app.get('io'));
+
+    res.json({
+      users,
+      totals: {
+        users: users.length,
+        connections: users.reduce((sum, user) => sum + user.connections.length, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get presence error:', error);
+    res.status(503).json({
+      error: 'Presence is unavailable: not every node answered in time',
+      code: 'PRESENCE_UNAVAILABLE'
+    });
+  }
+});
+
+// Users currently watching one contract
+router.get('/contracts/:contractId', requirePermission('read', { contract: req => req.params.contractId }), async (req, res) => {
+  try {
+    const users = await contractWatchers(req.app.get('io'), req.params.contractId);
+
+    res.json({
+      contractId: req.params.contractId,
+      watchers: users.map(({ userId, username, role, connections }) => ({
+        userId,
+        username,
+        role,
+        connections: connections.length
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get contract watchers error:', error);
+    res.status(503).json({
+      error: 'Presence is unavailable: not every node answered in time',
+      code: 'PRESENCE_UNAVAILABLE'
+    });
+  }
+});
+
+module.exports = router;
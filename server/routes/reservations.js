@@ -0,0 +1,578 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Contract = require('../models/Contract');
+const Reservation = require('../models/Reservation');
+const Shipment = require('../models/Shipment');
+const { requirePermission } = require('../middleware/auth');
+const { acquireLock, releaseLock, withLock } = require('../services/lockService');
+const { closeReservation, expireReservations } = require('../services/reservationService');
+const { recordAudit } = require('../services/auditService');
+const { evaluateThresholdAlerts } = require('../services/alertService');
+const { scopeToContracts, canAccessContractId } = require('../services/accessService');
+const { normalizeLineItems, lineItemsTotal, lineItemsError, skuBreakdown } = require('../services/skuService');
+
+const router = express.Router();
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.RESERVATION_TTL_SECONDS || '900');
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+// Only the packer who placed a hold, or someone who may update contracts, can settle it
+const canSettle = (req, reservation) => {
+  return reservation.userId.equals(req.userId) || req.user.hasPermission('update');
+};
+
+const sendReservationError = (res, error) => {
+  switch (error.message) {
+    case 'CONTRACT_NOT_FOUND':
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    case 'CONTRACT_LOCKED':
+      return res.status(423).json({
+        error: 'Contract is locked. No further shipments allowed.',
+        code: 'CONTRACT_LOCKED'
+      });
+    case 'CONTRACT_NOT_STARTED':
+    case 'CONTRACT_EXPIRED':
+      return res.status(422).json({
+        error: Contract.TERM_ERRORS[error.message],
+        code: error.message
+      });
+    case 'MASTER_AGREEMENT':
+      return res.status(422).json({
+        error: Contract.HIERARCHY_ERRORS[error.message],
+        code: error.message
+      });
+    case 'LINE_ITEMS_REQUIRED':
+    case 'UNKNOWN_SKU':
+    case 'SKU_NOT_ON_CONTRACT':
+      return res.status(422).json({
+        error: Contract.LINE_ITEM_ERRORS[error.message],
+        code: error.message
+      });
+    case 'INSUFFICIENT_CAPACITY':
+      return res.status(409).json({
+        error: 'Not enough remaining capacity on this contract, its period allowance or its master agreement pool',
+        code: 'INSUFFICIENT_CAPACITY'
+      });
+    case 'LOCK_NOT_ACQUIRED':
+      return res.status(423).json({
+        error: 'Another shipment is being processed for this contract. Please try again.',
+        code: 'CONCURRENT_SHIPMENT'
+      });
+    case 'LOCK_SERVICE_UNAVAILABLE':
+      return res.status(503).json({
+        error: 'Locking service unavailable. Please try again shortly.',
+        code: 'LOCK_SERVICE_UNAVAILABLE'
+      });
+    case 'RESERVATION_NOT_ACTIVE':
+      return res.status(409).json({
+        error: 'Reservation is no longer active',
+        code: 'RESERVATION_NOT_ACTIVE'
+      });
+    default:
+      return null;
+  }
+};
+
+// List reservations
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status, contractId } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (contractId) {
+      filter.contractId = contractId;
+    }
+
+    await scopeToContracts(req.user, filter);
+
+    const total = await Reservation.countDocuments(filter);
+
+    const reservations = await Reservation.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.json({
+      reservations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reservations',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Hold capacity on a contract while an order is packed
+router.post('/', requirePermission('create', { contract: req => req.body.contractId }), [
+  body('contractId').notEmpty().withMessage('Contract ID is required'),
+  body('quantity').if(body('lineItems').not().exists())
+    .isInt({ min: 1 }).withMessage('Quantity or line items are required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+  body('lineItems').optional().isArray({ min: 1 }).withMessage('Line items must be a non-empty array'),
+  body('lineItems.*.sku').isString().trim().notEmpty().withMessage('Each line item needs a SKU'),
+  body('lineItems.*.quantity').isInt({ min: 1 }).withMessage('Line item quantity must be a positive integer').toInt(),
+  body('ttlSeconds').optional().isInt({ min: 30, max: MAX_TTL_SECONDS }).toInt(),
+  body('notes').optional().isString().trim()
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  let redisClient;
+  let lockKey;
+  let lockToken;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { contractId, notes } = req.body;
+    const ttlSeconds = req.body.ttlSeconds || DEFAULT_TTL_SECONDS;
+
+    // Line items (required on contracts with SKU limits) set the quantity held
+    const lineItems = normalizeLineItems(req.body.lineItems);
+    const quantity = lineItems.length > 0 ? lineItemsTotal(lineItems) : req.body.quantity;
+
+    if (req.body.quantity !== undefined && req.body.quantity !== quantity) {
+      return res.status(400).json({
+        error: `Line items add up to ${quantity}, not ${req.body.quantity}`,
+        code: 'LINE_ITEMS_MISMATCH'
+      });
+    }
+
+    // Reservations compete with shipments for the same capacity
+    lockKey = `shipment:${contractId}`;
+    redisClient = req.app.get('redis');
+    lockToken = await acquireLock(redisClient, lockKey, 10000);
+
+    if (!lockToken) {
+      return res.status(423).json({
+        error: 'Another shipment is being processed for this contract. Please try again.',
+        code: 'CONCURRENT_SHIPMENT'
+      });
+    }
+
+    await session.startTransaction();
+
+    const contract = await Contract.findOne({ contractId }).session(session);
+
+    if (!contract) {
+      throw new Error('CONTRACT_NOT_FOUND');
+    }
+
+    if (contract.isMaster) {
+      throw new Error('MASTER_AGREEMENT');
+    }
+
+    if (contract.isLocked) {
+      throw new Error('CONTRACT_LOCKED');
+    }
+
+    const termError = contract.termError();
+    if (termError) {
+      throw new Error(termError);
+    }
+
+    const lineItemError = await lineItemsError(contract, lineItems, session);
+    if (lineItemError) {
+      throw new Error(lineItemError);
+    }
+
+    await expireReservations(contractId, session);
+
+    const updatedContract = await contract.reserveBatteries(quantity, session, lineItems);
+
+    if (!updatedContract) {
+      throw new Error('INSUFFICIENT_CAPACITY');
+    }
+
+    const reservation = new Reservation({
+      contractId,
+      contract: contract._id,
+      quantity,
+      lineItems,
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+      reservedBy: req.user.username,
+      userId: req.userId,
+      notes
+    });
+
+    await reservation.save({ session });
+
+    await session.commitTransaction();
+
+    await recordAudit(req, {
+      action: 'reservation.created',
+      category: 'reservation',
+      targetType: 'Reservation',
+      targetId: reservation.reservationId,
+      after: reservation,
+      metadata: { contractId }
+    });
+
+    const io = req.app.get('io');
+    io.publish('reservation:created', {
+      reservation,
+      contract: {
+        contractId,
+        batteriesShipped: updatedContract.batteriesShipped,
+        batteriesReserved: updatedContract.batteriesReserved,
+        threshold: updatedContract.threshold
+      }
+    });
+
+    res.status(201).json({
+      message: 'Capacity reserved successfully',
+      reservation,
+      remainingCapacity: updatedContract.remainingCapacity
+    });
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Create reservation error:', error);
+
+    if (sendReservationError(res, error)) return;
+
+    res.status(500).json({
+      error: 'Failed to create reservation',
+      code: 'CREATE_ERROR'
+    });
+  } finally {
+    if (lockToken) {
+      await releaseLock(redisClient, lockKey, lockToken);
+    }
+    await session.endSession();
+  }
+});
+
+// Turn a reservation into an approved shipment
+router.post('/:reservationId/commit', requirePermission('create'), [
+  body('quantity').optional().isInt({ min: 1 }).toInt(),
+  body('lineItems').optional().isArray({ min: 1 }).withMessage('Line items must be a non-empty array'),
+  body('lineItems.*.sku').isString().trim().notEmpty().withMessage('Each line item needs a SKU'),
+  body('lineItems.*.quantity').isInt({ min: 1 }).withMessage('Line item quantity must be a positive integer').toInt(),
+  body('notes').optional().isString().trim()
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  let redisClient;
+  let lockKey;
+  let lockToken;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const reservation = await Reservation.findOne({ reservationId: req.params.reservationId });
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        code: 'RESERVATION_NOT_FOUND'
+      });
+    }
+
+    if (!canSettle(req, reservation)) {
+      return res.status(403).json({
+        error: 'Only the reservation owner or a manager can commit it',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    // Access to the contract may have been revoked since the hold was placed
+    if (!(await canAccessContractId(req.user, reservation.contractId, 'create'))) {
+      return res.status(403).json({
+        error: `Permission 'create' required on contract ${reservation.contractId}`,
+        code: 'CONTRACT_ACCESS_DENIED'
+      });
+    }
+
+    if (reservation.status === 'ACTIVE' && reservation.expiresAt <= Date.now()) {
+      await closeReservation(reservation, 'EXPIRED');
+      return res.status(410).json({
+        error: 'Reservation has expired',
+        code: 'RESERVATION_EXPIRED'
+      });
+    }
+
+    if (reservation.status !== 'ACTIVE') {
+      throw new Error('RESERVATION_NOT_ACTIVE');
+    }
+
+    // Shipping less than was held hands the rest back in the same update.
+    // Line items (required on contracts with SKU limits) set the quantity; a hold of
+    // line items ships them as held unless others are given.
+    const heldLineItems = reservation.lineItems || [];
+    const lineItems = req.body.lineItems
+      ? normalizeLineItems(req.body.lineItems)
+      : req.body.quantity === undefined ? heldLineItems.map(({ sku, quantity }) => ({ sku, quantity })) : [];
+    const quantity = lineItems.length > 0 ? lineItemsTotal(lineItems) : req.body.quantity || reservation.quantity;
+
+    if (req.body.quantity !== undefined && req.body.quantity !== quantity) {
+      return res.status(400).json({
+        error: `Line items add up to ${quantity}, not ${req.body.quantity}`,
+        code: 'LINE_ITEMS_MISMATCH'
+      });
+    }
+
+    if (quantity > reservation.quantity) {
+      return res.status(400).json({
+        error: `Cannot ship more than the ${reservation.quantity} batteries reserved`,
+        code: 'QUANTITY_EXCEEDS_RESERVATION'
+      });
+    }
+
+    // A hold of line items covers only the SKUs and quantities it holds
+    const overHeld = heldLineItems.length === 0 ? [] : lineItems.filter(item => {
+      const held = heldLineItems.find(line => line.sku === item.sku);
+      return !held || item.quantity > held.quantity;
+    });
+
+    if (overHeld.length > 0) {
+      return res.status(400).json({
+        error: `Not held by this reservation: ${overHeld.map(item => `${item.quantity} x ${item.sku}`).join(', ')}`,
+        code: 'QUANTITY_EXCEEDS_RESERVATION'
+      });
+    }
+
+    lockKey = `shipment:${reservation.contractId}`;
+    redisClient = req.app.get('redis');
+    lockToken = await acquireLock(redisClient, lockKey, 10000);
+
+    if (!lockToken) {
+      return res.status(423).json({
+        error: 'Another shipment is being processed for this contract. Please try again.',
+        code: 'CONCURRENT_SHIPMENT'
+      });
+    }
+
+    await session.startTransaction();
+
+    const contract = await Contract.findById(reservation.contract).session(session);
+
+    if (!contract) {
+      throw new Error('CONTRACT_NOT_FOUND');
+    }
+
+    if (contract.isLocked) {
+      throw new Error('CONTRACT_LOCKED');
+    }
+
+    const termError = contract.termError();
+    if (termError) {
+      throw new Error(termError);
+    }
+
+    const lineItemError = await lineItemsError(contract, lineItems, session);
+    if (lineItemError) {
+      throw new Error(lineItemError);
+    }
+
+    const updatedContract = await contract.shipBatteries(quantity, session, reservation.quantity, lineItems, heldLineItems);
+
+    if (!updatedContract) {
+      throw new Error('INSUFFICIENT_CAPACITY');
+    }
+
+    const shipment = new Shipment({
+      contractId: reservation.contractId,
+      contract: contract._id,
+      batteriesShipped: quantity,
+      lineItems,
+      status: 'APPROVED',
+      initiatedBy: req.user.username,
+      userId: req.userId,
+      notes: req.body.notes || reservation.notes,
+      reservationId: reservation.reservationId
+    });
+
+    const committed = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'ACTIVE' },
+      { $set: { status: 'COMMITTED', closedAt: new Date(), shipmentId: shipment.shipmentId } },
+      { new: true, session }
+    );
+
+    if (!committed) {
+      throw new Error('RESERVATION_NOT_ACTIVE');
+    }
+
+    await shipment.save({ session });
+
+    await session.commitTransaction();
+
+    await shipment.populate('userId contract', 'username fullName contractId deviceCount threshold isLocked');
+
+    await recordAudit(req, {
+      action: 'reservation.committed',
+      category: 'reservation',
+      targetType: 'Reservation',
+      targetId: committed.reservationId,
+      before: { status: 'ACTIVE', quantity: reservation.quantity },
+      after: { status: 'COMMITTED', shipmentId: shipment.shipmentId, batteriesShipped: quantity, lineItems },
+      metadata: { contractId: committed.contractId }
+    });
+
+    const io = req.app.get('io');
+    io.publish('shipment:created', {
+      shipment,
+      contract: {
+        contractId: updatedContract.contractId,
+        batteriesShipped: updatedContract.batteriesShipped,
+        threshold: updatedContract.threshold,
+        isLocked: updatedContract.isLocked,
+        skus: skuBreakdown(updatedContract)
+      }
+    });
+    io.publish('reservation:committed', {
+      reservationId: committed.reservationId,
+      contractId: committed.contractId,
+      shipmentId: shipment.shipmentId
+    });
+
+    await evaluateThresholdAlerts(io, updatedContract._id);
+
+    if (updatedContract.parentContract) {
+      await evaluateThresholdAlerts(io, updatedContract.parentContract);
+    }
+
+    res.status(201).json({
+      message: 'Reservation committed successfully',
+      reservation: committed,
+      shipment
+    });
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Commit reservation error:', error);
+
+    if (sendReservationError(res, error)) return;
+
+    res.status(500).json({
+      error: 'Failed to commit reservation',
+      code: 'COMMIT_ERROR'
+    });
+  } finally {
+    if (lockToken) {
+      await releaseLock(redisClient, lockKey, lockToken);
+    }
+    await session.endSession();
+  }
+});
+
+// Give held capacity back without shipping
+router.post('/:reservationId/release', requirePermission('create'), async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const reservation = await Reservation.findOne({ reservationId: req.params.reservationId });
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reservation not found',
+        code: 'RESERVATION_NOT_FOUND'
+      });
+    }
+
+    if (!canSettle(req, reservation)) {
+      return res.status(403).json({
+        error: 'Only the reservation owner or a manager can release it',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (!(await canAccessContractId(req.user, reservation.contractId, 'create'))) {
+      return res.status(403).json({
+        error: `Permission 'create' required on contract ${reservation.contractId}`,
+        code: 'CONTRACT_ACCESS_DENIED'
+      });
+    }
+
+    // Closing the hold and handing its capacity back commit together, under the shipment lock
+    const released = await withLock(req.app.get('redis'), `shipment:${reservation.contractId}`, async () => {
+      await session.startTransaction();
+
+      const closed = await closeReservation(reservation, 'RELEASED', session);
+
+      if (!closed) {
+        throw new Error('RESERVATION_NOT_ACTIVE');
+      }
+
+      await session.commitTransaction();
+      return closed;
+    });
+
+    await recordAudit(req, {
+      action: 'reservation.released',
+      category: 'reservation',
+      targetType: 'Reservation',
+      targetId: released.reservationId,
+      before: { status: 'ACTIVE' },
+      after: { status: 'RELEASED' },
+      metadata: { contractId: released.contractId, quantity: released.quantity }
+    });
+
+    const io = req.app.get('io');
+    io.publish('reservation:released', {
+      reservationId: released.reservationId,
+      contractId: released.contractId,
+      quantity: released.quantity,
+      releasedBy: req.user.username
+    });
+
+    res.json({
+      message: 'Reservation released successfully',
+      reservation: released
+    });
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+
+    if (sendReservationError(res, error)) return;
+
+    console.error('Release reservation error:', error);
+    res.status(500).json({
+      error: 'Failed to release reservation',
+      code: 'RELEASE_ERROR'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
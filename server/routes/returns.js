@@ -0,0 +1,332 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Contract = require('../models/Contract');
+const Shipment = require('../models/Shipment');
+const BatteryReturn = require('../models/BatteryReturn');
+const { requirePermission } = require('../middleware/auth');
+const { acquireLock, releaseLock } = require('../services/lockService');
+const { recordAudit } = require('../services/auditService');
+const { evaluateThresholdAlerts } = require('../services/alertService');
+const { scopeToContracts, canAccessContractId } = require('../services/accessService');
+const { skuBreakdown } = require('../services/skuService');
+
+const router = express.Router();
+
+// Reopen contracts locked for exceeding their threshold once a return brings them back under it
+const RETURN_AUTO_UNLOCK = process.env.RETURN_AUTO_UNLOCK === 'true';
+
+// Get all returns with filtering and pagination
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { contractId, shipmentId, reason } = req.query;
+
+    const filter = {};
+
+    if (contractId) {
+      filter.contractId = contractId;
+    }
+
+    if (shipmentId) {
+      filter.shipmentId = shipmentId;
+    }
+
+    if (reason) {
+      filter.reason = reason;
+    }
+
+    await scopeToContracts(req.user, filter);
+
+    const total = await BatteryReturn.countDocuments(filter);
+
+    const returns = await BatteryReturn.find(filter)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('userId', 'username fullName')
+      .lean();
+
+    res.json({
+      returns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch returns',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Get single return by ID
+router.get('/:returnId', async (req, res) => {
+  try {
+    const batteryReturn = await BatteryReturn.findOne(await scopeToContracts(req.user, { returnId: req.params.returnId }))
+      .populate('userId', 'username fullName')
+      .populate('shipment', 'shipmentId batteriesShipped batteriesReturned status timestamp');
+
+    if (!batteryReturn) {
+      return res.status(404).json({
+        error: 'Return not found',
+        code: 'RETURN_NOT_FOUND'
+      });
+    }
+
+    res.json({ return: batteryReturn });
+
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch return',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Record returned batteries against an approved shipment and credit the contract
+router.post('/', requirePermission('create'), [
+  body('shipmentId').notEmpty().withMessage('Shipment ID is required'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+  body('sku').optional().isString().trim().toUpperCase(),
+  body('reason').isIn(['DEFECTIVE', 'DAMAGED', 'UNUSED', 'WRONG_ITEM', 'OTHER']).withMessage('Invalid return reason'),
+  body('autoUnlock').optional().isBoolean().toBoolean(),
+  body('notes').optional().isString().trim()
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  let redisClient;
+  let lockKey;
+  let lockToken;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { shipmentId, quantity, reason, notes, sku } = req.body;
+
+    // Overriding the unlock policy is an unlock, so it needs the same permission
+    if (req.body.autoUnlock !== undefined && !req.user.hasPermission('unlock_contracts')) {
+      return res.status(403).json({
+        error: "Permission 'unlock_contracts' required to set autoUnlock",
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    const autoUnlock = req.body.autoUnlock !== undefined ? req.body.autoUnlock : RETURN_AUTO_UNLOCK;
+
+    const original = await Shipment.findOne({ shipmentId }).lean();
+
+    if (!original) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        code: 'SHIPMENT_NOT_FOUND'
+      });
+    }
+
+    if (!(await canAccessContractId(req.user, original.contractId, 'create'))) {
+      return res.status(403).json({
+        error: `Permission 'create' required on contract ${original.contractId}`,
+        code: 'CONTRACT_ACCESS_DENIED'
+      });
+    }
+
+    if (original.status !== 'APPROVED') {
+      return res.status(409).json({
+        error: `Only approved shipments can be returned (shipment is ${original.status})`,
+        code: 'SHIPMENT_NOT_RETURNABLE'
+      });
+    }
+
+    // Returns from a shipment of line items name the SKU, so its limit is credited too
+    const lineItems = original.lineItems || [];
+    const line = sku && lineItems.find(item => item.sku === sku);
+
+    if (lineItems.length > 0 && !sku) {
+      return res.status(400).json({
+        error: 'This shipment is made of line items. Specify the SKU being returned.',
+        code: 'SKU_REQUIRED'
+      });
+    }
+
+    if (sku && !line) {
+      return res.status(400).json({
+        error: `SKU ${sku} is not on this shipment`,
+        code: 'SKU_NOT_ON_SHIPMENT'
+      });
+    }
+
+    // Returns change capacity, so they serialise with shipments on the same lock
+    lockKey = `shipment:${original.contractId}`;
+    redisClient = req.app.get('redis');
+    lockToken = await acquireLock(redisClient, lockKey, 10000);
+
+    if (!lockToken) {
+      return res.status(423).json({
+        error: 'Another shipment is being processed for this contract. Please try again.',
+        code: 'CONCURRENT_SHIPMENT'
+      });
+    }
+
+    await session.startTransaction();
+
+    // Never return more than was shipped on this shipment, across all its returns
+    const shipment = await Shipment.findOneAndUpdate(
+      {
+        _id: original._id,
+        status: 'APPROVED',
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ['$batteriesReturned', 0] }, quantity] },
+            '$batteriesShipped'
+          ]
+        },
+        ...(line ? { lineItems: { $elemMatch: { sku, returned: { $lte: line.quantity - quantity } } } } : {})
+      },
+      { $inc: { batteriesReturned: quantity, ...(line ? { 'lineItems.$.returned': quantity } : {}) } },
+      { new: true, session }
+    );
+
+    if (!shipment) {
+      throw new Error('RETURN_EXCEEDS_SHIPMENT');
+    }
+
+    const { contract, unlocked } = await Contract.creditReturnedBatteries(
+      shipment.contract,
+      quantity,
+      session,
+      autoUnlock,
+      line ? sku : null,
+      shipment.reviewedAt || shipment.timestamp
+    );
+
+    if (!contract) {
+      throw new Error('CONTRACT_NOT_FOUND');
+    }
+
+    const batteryReturn = new BatteryReturn({
+      shipmentId,
+      shipment: shipment._id,
+      contractId: shipment.contractId,
+      contract: contract._id,
+      quantity,
+      sku: line ? sku : undefined,
+      reason,
+      initiatedBy: req.user.username,
+      userId: req.userId,
+      contractUnlocked: unlocked,
+      notes
+    });
+
+    await batteryReturn.save({ session });
+
+    await session.commitTransaction();
+
+    if (unlocked) {
+      await contract.addNotification(
+        req.user.email,
+        `Contract automatically unlocked after return ${batteryReturn.returnId} brought usage under threshold`,
+        'CONTRACT_UNLOCKED'
+      );
+    }
+
+    await recordAudit(req, {
+      action: 'return.created',
+      category: 'return',
+      targetType: 'BatteryReturn',
+      targetId: batteryReturn.returnId,
+      after: batteryReturn,
+      reason,
+      metadata: { shipmentId, contractId: contract.contractId, contractUnlocked: unlocked }
+    });
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.publish('return:created', {
+      return: batteryReturn,
+      contract: {
+        contractId: contract.contractId,
+        batteriesShipped: contract.batteriesShipped,
+        batteriesReturned: contract.batteriesReturned,
+        threshold: contract.threshold,
+        isLocked: contract.isLocked,
+        skus: skuBreakdown(contract)
+      }
+    });
+
+    if (unlocked) {
+      io.publish('contract:lock_changed', {
+        contractId: contract.contractId,
+        isLocked: false,
+        changedBy: req.user.username,
+        reason: `Auto-unlocked by return ${batteryReturn.returnId}`
+      });
+    }
+
+    // Usage dropped, so re-arm any tiers it fell back below (the master's pool too)
+    await evaluateThresholdAlerts(io, contract._id);
+
+    if (contract.parentContract) {
+      await evaluateThresholdAlerts(io, contract.parentContract);
+    }
+
+    res.status(201).json({
+      message: 'Return recorded successfully',
+      return: batteryReturn,
+      contractUnlocked: unlocked
+    });
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Create return error:', error);
+
+    if (error.message === 'LOCK_SERVICE_UNAVAILABLE') {
+      return res.status(503).json({
+        error: 'Locking service unavailable. Please try again shortly.',
+        code: 'LOCK_SERVICE_UNAVAILABLE'
+      });
+    }
+
+    if (error.message === 'RETURN_EXCEEDS_SHIPMENT') {
+      return res.status(409).json({
+        error: 'Return quantity exceeds the batteries remaining on this shipment',
+        code: 'RETURN_EXCEEDS_SHIPMENT'
+      });
+    }
+
+    if (error.message === 'CONTRACT_NOT_FOUND') {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to record return',
+      code: 'CREATE_ERROR'
+    });
+  } finally {
+    if (lockToken) {
+      await releaseLock(redisClient, lockKey, lockToken);
+    }
+    await session.endSession();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { invalidateRoleCache } = require('../services/accessService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+router.use(requirePermission('manage_roles'));
+
+// The admin role must keep these, or nobody could repair the role table
+const PROTECTED_PERMISSIONS = ['manage_roles', 'manage_users'];
+
+const roleValidation = [
+  body('description').optional().isString().trim().isLength({ max: 200 }),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(Role.PERMISSIONS).withMessage('Unknown permission'),
+  body('contractScope').optional().isIn(['ALL', 'ASSIGNED'])
+];
+
+// List roles with the number of users holding each
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const userCounts = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      roles: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 })),
+      permissions: Role.PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch roles',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Create a role
+router.post('/', [
+  body('name')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_]{2,50}$/)
+    .withMessage('Role name can only contain letters, numbers, and underscores'),
+  ...roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, permissions = [], contractScope } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(409).json({
+        error: 'Role already exists',
+        code: 'ROLE_EXISTS'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      contractScope,
+      updatedBy: req.userId
+    });
+
+    invalidateRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.created',
+      category: 'user',
+      targetType: 'Role',
+      targetId: role.name,
+      after: role
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:role_created', {
+      role: role.name,
+      permissions: role.permissions,
+      contractScope: role.contractScope,
+      changedBy: req.user.username
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      error: 'Failed to create role',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update a role's permissions, scope or description
+router.put('/:name', roleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    const { description, permissions, contractScope } = req.body;
+
+    if (role.name === 'admin') {
+      const removed = PROTECTED_PERMISSIONS.filter(p => permissions && !permissions.includes(p));
+
+      if (removed.length > 0 || (contractScope && contractScope !== 'ALL')) {
+        return res.status(400).json({
+          error: `The admin role must keep ${PROTECTED_PERMISSIONS.join(', ')} on all contracts`,
+          code: 'ROLE_PROTECTED'
+        });
+      }
+    }
+
+    const before = role.toObject();
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (contractScope !== undefined) role.contractScope = contractScope;
+    role.updatedBy = req.userId;
+
+    await role.save();
+
+    invalidateRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.updated',
+      category: 'user',
+      targetType: 'Role',
+      targetId: role.name,
+      before,
+      after: role
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:role_updated', {
+      role: role.name,
+      permissions: role.permissions,
+      contractScope: role.contractScope,
+      changedBy: req.user.username
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      error: 'Failed to update role',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete a custom role that no user holds
+router.delete('/:name', async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        error: 'Built-in roles cannot be deleted',
+        code: 'ROLE_PROTECTED'
+      });
+    }
+
+    const inUse = await User.countDocuments({ role: role.name });
+
+    if (inUse > 0) {
+      return res.status(409).json({
+        error: `Role is assigned to ${inUse} user(s)`,
+        code: 'ROLE_IN_USE'
+      });
+    }
+
+    await role.deleteOne();
+
+    invalidateRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.deleted',
+      category: 'user',
+      targetType: 'Role',
+      targetId: role.name,
+      before: role
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:role_deleted', {
+      role: role.name,
+      changedBy: req.user.username
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      error: 'Failed to delete role',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
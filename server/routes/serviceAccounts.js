@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { requirePermission } = require('../middleware/auth');
+const { getRole } = require('../services/accessService');
+const { API_KEY_SCOPES, generateApiKey } = require('../services/apiKeyService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const API_KEY_DEFAULT_TTL_DAYS = parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS || '365');
+const API_KEY_ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS || '24');
+
+router.use(requirePermission('manage_api_keys'));
+
+const keyValidation = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  body('contractIds').optional().isArray(),
+  body('contractIds.*').isString().trim(),
+  body('expiresInDays').optional({ values: 'null' }).isInt({ min: 1, max: 3650 }).toInt()
+];
+
+// Load a service account from the route, answering 404 for anything else
+const loadServiceAccount = async (req, res) => {
+  const { accountId } = req.params;
+
+  const account = mongoose.isValidObjectId(accountId)
+    ? await User.findOne({ _id: accountId, accountType: 'SERVICE' })
+    : null;
+
+  if (!account) {
+    res.status(404).json({
+      error: 'Service account not found',
+      code: 'SERVICE_ACCOUNT_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return account;
+};
+
+// Shape a key for responses; the secret is never included
+const toKeyView = (apiKey) => ({
+  keyId: apiKey.keyId,
+  name: apiKey.name,
+  scopes: apiKey.scopes,
+  contractIds: apiKey.contractIds,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  rotatedFrom: apiKey.rotatedFrom,
+  replacedBy: apiKey.replacedBy,
+  isUsable: apiKey.isUsable,
+  createdAt: apiKey.createdAt
+});
+
+const expiryFrom = (expiresInDays) => {
+  return new Date(Date.now() + (expiresInDays || API_KEY_DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000);
+};
+
+// List service accounts with their keys
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await User.find({ accountType: 'SERVICE' })
+      .select('username role description isActive createdAt')
+      .sort({ username: 1 })
+      .lean();
+
+    const keys = await ApiKey.find({ serviceAccount: { $in: accounts.map(a => a._id) } })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      serviceAccounts: accounts.map(account => ({
+        id: account._id,
+        name: account.username,
+        role: account.role,
+        description: account.description,
+        isActive: account.isActive,
+        createdAt: account.createdAt,
+        keys: keys.filter(key => key.serviceAccount.equals(account._id)).map(toKeyView)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get service accounts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch service accounts',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Create a service account
+router.post('/', [
+  body('name')
+    .isLength({ min: 3, max: 50 })
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Name can only contain letters, numbers, dashes and underscores'),
+  body('role').isString().trim().toLowerCase(),
+  body('description').optional().isString().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, role, description } = req.body;
+
+    if (!(await getRole(role))) {
+      return res.status(400).json({
+        error: 'Unknown role',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    if (await User.exists({ username: name })) {
+      return res.status(409).json({
+        error: 'An account with this name already exists',
+        code: 'USER_EXISTS'
+      });
+    }
+
+    // Service accounts never log in, so the password is random and discarded
+    const account = await User.create({
+      username: name,
+      email: `${name.toLowerCase()}@service-accounts.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      role,
+      description,
+      accountType: 'SERVICE'
+    });
+
+    await recordAudit(req, {
+      action: 'service_account.created',
+      category: 'user',
+      targetType: 'User',
+      targetId: account._id,
+      after: { username: account.username, role, accountType: 'SERVICE' }
+    });
+
+    res.status(201).json({
+      message: 'Service account created successfully',
+      serviceAccount: {
+        id: account._id,
+        name: account.username,
+        role: account.role,
+        description: account.description,
+        isActive: account.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('Create service account error:', error);
+    res.status(500).json({
+      error: 'Failed to create service account',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Enable or disable a service account; disabling stops every key at once
+router.patch('/:accountId', [
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('description').optional().isString().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const account = await loadServiceAccount(req, res);
+    if (!account) return;
+
+    const before = { isActive: account.isActive, description: account.description };
+
+    if (req.body.isActive !== undefined) account.isActive = req.body.isActive;
+    if (req.body.description !== undefined) account.description = req.body.description;
+    await account.save();
+
+    await recordAudit(req, {
+      action: 'service_account.updated',
+      category: 'user',
+      targetType: 'User',
+      targetId: account._id,
+      before,
+      after: { isActive: account.isActive, description: account.description }
+    });
+
+    res.json({
+      message: 'Service account updated successfully',
+      serviceAccount: {
+        id: account._id,
+        name: account.username,
+        role: account.role,
+        description: account.description,
+        isActive: account.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('Update service account error:', error);
+    res.status(500).json({
+      error: 'Failed to update service account',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Issue a key; the raw key is only returned here
+router.post('/:accountId/keys', keyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const account = await loadServiceAccount(req, res);
+    if (!account) return;
+
+    const { name, scopes, contractIds = [], expiresInDays } = req.body;
+    const { keyId, key, secretHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      keyId,
+      name,
+      serviceAccount: account._id,
+      secretHash,
+      scopes: [...new Set(scopes)],
+      contractIds: [...new Set(contractIds)],
+      expiresAt: expiryFrom(expiresInDays),
+      createdBy: req.userId
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.created',
+      category: 'user',
+      targetType: 'ApiKey',
+      targetId: keyId,
+      after: apiKey,
+      metadata: { serviceAccount: account.username }
+    });
+
+    res.status(201).json({
+      message: 'API key created. Store it now; it will not be shown again.',
+      key,
+      apiKey: toKeyView(apiKey)
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Rotate a key: issue a replacement with the same scopes and let the old one
+// keep working for a grace period so the integration can be redeployed
+router.post('/:accountId/keys/:keyId/rotate', [
+  body('gracePeriodHours').optional().isInt({ min: 0, max: 720 }).toInt(),
+  body('expiresInDays').optional({ values: 'null' }).isInt({ min: 1, max: 3650 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const account = await loadServiceAccount(req, res);
+    if (!account) return;
+
+    const current = await ApiKey.findOne({ keyId: req.params.keyId, serviceAccount: account._id });
+
+    if (!current || !current.isUsable) {
+      return res.status(404).json({
+        error: 'Active API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    if (current.replacedBy) {
+      return res.status(409).json({
+        error: `Key was already rotated to ${current.replacedBy}`,
+        code: 'API_KEY_ALREADY_ROTATED'
+      });
+    }
+
+    const graceHours = req.body.gracePeriodHours ?? API_KEY_ROTATION_GRACE_HOURS;
+    const { keyId, key, secretHash } = generateApiKey();
+
+    const replacement = await ApiKey.create({
+      keyId,
+      name: current.name,
+      serviceAccount: account._id,
+      secretHash,
+      scopes: current.scopes,
+      contractIds: current.contractIds,
+      expiresAt: expiryFrom(req.body.expiresInDays),
+      rotatedFrom: current.keyId,
+      createdBy: req.userId
+    });
+
+    const graceEnd = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    current.replacedBy = keyId;
+    if (!current.expiresAt || current.expiresAt > graceEnd) {
+      current.expiresAt = graceEnd;
+    }
+    await current.save();
+
+    await recordAudit(req, {
+      action: 'api_key.rotated',
+      category: 'user',
+      targetType: 'ApiKey',
+      targetId: current.keyId,
+      metadata: { serviceAccount: account.username, replacedBy: keyId, oldKeyExpiresAt: current.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'API key rotated. Store the new key now; it will not be shown again.',
+      key,
+      apiKey: toKeyView(replacement),
+      previousKey: toKeyView(current)
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate API key',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Revoke a key immediately
+router.delete('/:accountId/keys/:keyId', async (req, res) => {
+  try {
+    const account = await loadServiceAccount(req, res);
+    if (!account) return;
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { keyId: req.params.keyId, serviceAccount: account._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'Active API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'api_key.revoked',
+      category: 'user',
+      targetType: 'ApiKey',
+      targetId: apiKey.keyId,
+      metadata: { serviceAccount: account.username }
+    });
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey: toKeyView(apiKey)
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
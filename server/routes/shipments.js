@@ -2,67 +2,20 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Contract = require('../models/Contract');
+const Shipment = require('../models/Shipment');
 const { requirePermission } = require('../middleware/auth');
-const { sendShipmentNotification } = require('../services/emailService');
+const { idempotency } = require('../middleware/idempotency');
+const { rateLimit, checkRateLimit } = require('../middleware/rateLimit');
 const { acquireLock, releaseLock } = require('../services/lockService');
+const { processShipment, publishShipment } = require('../services/shipmentService');
+const { recordAudit } = require('../services/auditService');
+const { evaluateThresholdAlerts } = require('../services/alertService');
+const { scopeToContracts, accessibleContractIds, canAccessContractId } = require('../services/accessService');
+const { IMPORT_MAX_ROWS, parseCsv, normalizeRows, planImport, summarize } = require('../services/importService');
+const { normalizeLineItems, lineItemsTotal, lineItemsError, skuBreakdown } = require('../services/skuService');
 
 const router = express.Router();
 
-// Shipment model (simplified for this implementation)
-const shipmentSchema = new mongoose.Schema({
-  shipmentId: {
-    type: String,
-    required: true,
-    unique: true,
-    default: () => `SHP-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase()
-  },
-  contractId: {
-    type: String,
-    required: true,
-    index: true
-  },
-  contract: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Contract',
-    required: true
-  },
-  batteriesShipped: {
-    type: Number,
-    required: true,
-    min: 1
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now,
-    index: true
-  },
-  status: {
-    type: String,
-    enum: ['APPROVED', 'BLOCKED', 'PENDING'],
-    required: true,
-    index: true
-  },
-  initiatedBy: {
-    type: String,
-    required: true
-  },
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  blockReason: {
-    type: String
-  },
-  notes: {
-    type: String
-  }
-}, {
-  timestamps: true
-});
-
-const Shipment = mongoose.model('Shipment', shipmentSchema);
-
 // Get all shipments with filtering and pagination
 router.get('/', async (req, res) => {
   try {
@@ -88,6 +41,8 @@ router.get('/', async (req, res) => {
       ];
     }
 
+    await scopeToContracts(req.user, filter);
+
     const total = await Shipment.countDocuments(filter);
 
     const sortDirection = sortOrder === 'desc' ? -1 : 1;
@@ -123,12 +78,16 @@ router.get('/', async (req, res) => {
 });
 
 // Create new shipment with atomic validation
-router.post('/', requirePermission('create'), [
+router.post('/', requirePermission('create', { contract: req => req.body.contractId }), idempotency('shipments:create'), rateLimit('shipmentCreate'), [
   body('contractId').notEmpty().withMessage('Contract ID is required'),
-  body('batteriesShipped').isInt({ min: 1 }).withMessage('Batteries shipped must be a positive integer')
+  body('batteriesShipped').if(body('lineItems').not().exists())
+    .isInt({ min: 1 }).withMessage('Batteries shipped or line items are required'),
+  body('batteriesShipped').optional().isInt({ min: 1 }).withMessage('Batteries shipped must be a positive integer').toInt(),
+  body('lineItems').optional().isArray({ min: 1 }).withMessage('Line items must be a non-empty array'),
+  body('lineItems.*.sku').isString().trim().notEmpty().withMessage('Each line item needs a SKU'),
+  body('lineItems.*.quantity').isInt({ min: 1 }).withMessage('Line item quantity must be a positive integer').toInt(),
+  body('externalReference').optional().isString().trim().isLength({ max: 255 })
 ], async (req, res) => {
-  const session = await mongoose.startSession();
-  
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -138,136 +97,449 @@ router.post('/', requirePermission('create'), [
       });
     }
 
-    const { contractId, batteriesShipped, notes } = req.body;
+    const { contractId, notes, externalReference } = req.body;
 
-    await session.startTransaction();
+    // Line items set the total; a batteriesShipped sent alongside them must agree
+    const lineItems = normalizeLineItems(req.body.lineItems);
+    const batteriesShipped = lineItems.length > 0 ? lineItemsTotal(lineItems) : req.body.batteriesShipped;
 
-    // Acquire Redis lock to prevent race conditions
-    const lockKey = `shipment:${contractId}`;
-    const redisClient = req.app.get('redis');
-    const lockAcquired = await acquireLock(redisClient, lockKey, 10000);
+    if (req.body.batteriesShipped !== undefined && req.body.batteriesShipped !== batteriesShipped) {
+      return res.status(400).json({
+        error: `Line items add up to ${batteriesShipped}, not ${req.body.batteriesShipped}`,
+        code: 'LINE_ITEMS_MISMATCH'
+      });
+    }
 
-    if (!lockAcquired) {
-      await session.abortTransaction();
+    const result = await processShipment({
+      redisClient: req.app.get('redis'),
+      contractId,
+      batteriesShipped,
+      lineItems,
+      notes,
+      externalReference,
+      user: req.user,
+      apiKeyId: req.apiKey?.keyId
+    });
+
+    const { shipment, status } = result;
+
+    // Populate shipment for response
+    await shipment.populate('userId contract', 'username fullName contractId deviceCount threshold isLocked');
+
+    await publishShipment(req.app.get('io'), result, req.user);
+
+    await recordAudit(req, {
+      action: 'shipment.created',
+      category: 'shipment',
+      targetType: 'Shipment',
+      targetId: shipment.shipmentId,
+      after: { contractId, batteriesShipped, lineItems, status, blockReason: shipment.blockReason },
+      metadata: { contractLocked: status === 'BLOCKED' && result.contract.isLocked }
+    });
+
+    if (status === 'PENDING') {
+      return res.status(202).json({
+        message: 'Shipment queued for approval',
+        shipment,
+        warning: 'Shipment exceeds threshold and requires manager approval'
+      });
+    }
+
+    res.status(201).json({
+      message: `Shipment ${status.toLowerCase()} successfully`,
+      shipment,
+      warning: status === 'BLOCKED' ? 'Shipment blocked due to threshold exceeded' : null
+    });
+
+  } catch (error) {
+    console.error('Create shipment error:', error);
+
+    if (error.message === 'LOCK_SERVICE_UNAVAILABLE') {
+      return res.status(503).json({
+        error: 'Locking service unavailable. Please try again shortly.',
+        code: 'LOCK_SERVICE_UNAVAILABLE'
+      });
+    }
+
+    if (error.message === 'CONCURRENT_SHIPMENT') {
       return res.status(423).json({
         error: 'Another shipment is being processed for this contract. Please try again.',
         code: 'CONCURRENT_SHIPMENT'
       });
     }
 
-    try {
-      // Find contract
-      const contract = await Contract.findOne({ contractId }).session(session);
+    if (error.message === 'LOCK_LOST') {
+      return res.status(409).json({
+        error: 'Shipment lock expired before commit; nothing was recorded. Please try again.',
+        code: 'LOCK_LOST'
+      });
+    }
 
-      if (!contract) {
-        throw new Error('CONTRACT_NOT_FOUND');
-      }
+    if (error.message === 'CONTRACT_NOT_FOUND') {
+      return res.status(404).json({
+        error: 'Contract not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
 
-      if (contract.isLocked) {
-        throw new Error('CONTRACT_LOCKED');
-      }
+    if (error.message === 'CONTRACT_LOCKED') {
+      return res.status(423).json({
+        error: 'Contract is locked. No further shipments allowed.',
+        code: 'CONTRACT_LOCKED'
+      });
+    }
+
+    if (Contract.TERM_ERRORS[error.message]) {
+      return res.status(422).json({
+        error: Contract.TERM_ERRORS[error.message],
+        code: error.message
+      });
+    }
 
-      // Check if shipment would exceed threshold
-      const newTotal = contract.batteriesShipped + batteriesShipped;
-      const wouldExceed = newTotal > contract.threshold;
-
-      let shipmentStatus = 'APPROVED';
-      let blockReason = null;
-
-      if (wouldExceed) {
-        shipmentStatus = 'BLOCKED';
-        blockReason = `Shipment would exceed threshold (${newTotal}/${contract.threshold})`;
-        
-        // Lock the contract
-        contract.isLocked = true;
-        await contract.save({ session });
-      } else {
-        // Update contract atomically
-        const updatedContract = await contract.shipBatteries(batteriesShipped, session);
-        
-        if (!updatedContract) {
-          throw new Error('ATOMIC_UPDATE_FAILED');
+    if (Contract.LINE_ITEM_ERRORS[error.message]) {
+      return res.status(422).json({
+        error: Contract.LINE_ITEM_ERRORS[error.message],
+        code: error.message
+      });
+    }
+
+    if (Contract.HIERARCHY_ERRORS[error.message]) {
+      return res.status(422).json({
+        error: Contract.HIERARCHY_ERRORS[error.message],
+        code: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to create shipment',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+const importMode = (req) => req.query.mode || (typeof req.body === 'object' && req.body.mode) || 'dry-run';
+
+// Dry runs write nothing, so only commits claim the idempotency key
+const importIdempotency = idempotency('shipments:import');
+const commitIdempotency = (req, res, next) => {
+  return importMode(req) === 'commit' ? importIdempotency(req, res, next) : next();
+};
+
+// Bulk import shipments from CSV or JSON.
+// Defaults to a dry run that reports the outcome of every row; ?mode=commit applies them,
+// charging each row to the caller's shipment rate limit like a single create.
+router.post('/import', requirePermission('create'), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), commitIdempotency, rateLimit('shipmentImport'), async (req, res) => {
+  try {
+    const mode = importMode(req);
+
+    if (!['dry-run', 'commit'].includes(mode)) {
+      return res.status(400).json({
+        error: "Mode must be 'dry-run' or 'commit'",
+        code: 'INVALID_MODE'
+      });
+    }
+
+    let rawRows;
+    if (typeof req.body === 'string') {
+      rawRows = parseCsv(req.body);
+    } else if (Array.isArray(req.body?.rows)) {
+      rawRows = req.body.rows;
+    } else if (typeof req.body?.csv === 'string') {
+      rawRows = parseCsv(req.body.csv);
+    } else {
+      return res.status(400).json({
+        error: 'Provide a text/csv body, or JSON with a rows array or csv string',
+        code: 'INVALID_IMPORT'
+      });
+    }
+
+    if (rawRows.length === 0) {
+      return res.status(400).json({
+        error: 'Import contains no rows',
+        code: 'EMPTY_IMPORT'
+      });
+    }
+
+    if (rawRows.length > IMPORT_MAX_ROWS) {
+      return res.status(413).json({
+        error: `Import is limited to ${IMPORT_MAX_ROWS} rows`,
+        code: 'IMPORT_TOO_LARGE'
+      });
+    }
+
+    const rows = normalizeRows(rawRows);
+
+    // Rows for contracts outside the caller's access list fail individually
+    const allowedContracts = await accessibleContractIds(req.user, 'create');
+    if (allowedContracts) {
+      for (const row of rows) {
+        if (!row.error && !allowedContracts.includes(row.contractId)) {
+          row.error = { code: 'CONTRACT_ACCESS_DENIED', message: `No access to contract ${row.contractId}` };
         }
       }
+    }
+
+    if (mode === 'dry-run') {
+      const results = await planImport(rows);
 
-      // Create shipment record
-      const shipment = new Shipment({
-        contractId,
-        contract: contract._id,
-        batteriesShipped,
-        status: shipmentStatus,
-        initiatedBy: req.user.username,
-        userId: req.userId,
-        notes,
-        blockReason
+      return res.json({
+        mode,
+        summary: summarize(results),
+        rows: results
       });
+    }
 
-      await shipment.save({ session });
-
-      await session.commitTransaction();
-      await releaseLock(redisClient, lockKey);
-
-      // Populate shipment for response
-      await shipment.populate('userId contract', 'username fullName contractId deviceCount threshold isLocked');
-
-      // Send email notification if blocked
-      if (shipmentStatus === 'BLOCKED') {
-        await contract.addNotification(
-          req.user.email,
-          `⚠ PBR Battery Shipment Limit Reached (Contract: ${contractId})`,
-          'THRESHOLD_EXCEEDED'
-        );
-
-        try {
-          await sendShipmentNotification({
-            type: 'SHIPMENT_BLOCKED',
-            contractId,
-            shipmentId: shipment.shipmentId,
-            batteriesShipped,
-            totalShipped: newTotal,
-            threshold: contract.threshold,
-            deviceCount: contract.deviceCount,
-            userEmail: req.user.email,
-            userName: req.user.username
-          });
-        } catch (emailError) {
-          console.error('Email notification failed:', emailError);
-        }
+    // Rows are applied one by one, each under its own contract lock and transaction
+    const redisClient = req.app.get('redis');
+    const io = req.app.get('io');
+    const results = [];
+
+    for (const row of rows) {
+      const base = { row: row.row, contractId: row.contractId, sku: row.sku, batteriesShipped: row.batteriesShipped };
+
+      if (row.error) {
+        results.push({ ...base, status: 'ERROR', code: row.error.code, reason: row.error.message });
+        continue;
       }
 
-      // Emit real-time update
-      const io = req.app.get('io');
-      io.emit('shipment:created', {
-        shipment,
-        contract: {
-          contractId: contract.contractId,
-          batteriesShipped: contract.batteriesShipped,
-          threshold: contract.threshold,
-          isLocked: contract.isLocked
+      const limited = await checkRateLimit('shipmentCreate', redisClient, req.user);
+      if (limited && !limited.allowed) {
+        results.push({
+          ...base,
+          status: 'ERROR',
+          code: 'RATE_LIMITED',
+          reason: `Shipment rate limit reached; retry in ${limited.resetSeconds}s`
+        });
+        continue;
+      }
+
+      try {
+        const result = await processShipment({
+          redisClient,
+          contractId: row.contractId,
+          batteriesShipped: row.batteriesShipped,
+          lineItems: row.lineItems,
+          notes: row.notes,
+          user: req.user,
+          apiKeyId: req.apiKey?.keyId
+        });
+
+        await publishShipment(io, result, req.user);
+
+        await recordAudit(req, {
+          action: 'shipment.created',
+          category: 'shipment',
+          targetType: 'Shipment',
+          targetId: result.shipment.shipmentId,
+          after: {
+            contractId: row.contractId,
+            batteriesShipped: row.batteriesShipped,
+            lineItems: row.lineItems,
+            status: result.status,
+            blockReason: result.shipment.blockReason
+          },
+          metadata: { source: 'import', row: row.row }
+        });
+
+        results.push({
+          ...base,
+          status: result.status,
+          shipmentId: result.shipment.shipmentId,
+          reason: result.shipment.blockReason || undefined
+        });
+      } catch (error) {
+        const known = [
+          'CONCURRENT_SHIPMENT', 'CONTRACT_NOT_FOUND', 'CONTRACT_LOCKED', 'LOCK_SERVICE_UNAVAILABLE', 'LOCK_LOST',
+          ...Object.keys(Contract.TERM_ERRORS),
+          ...Object.keys(Contract.LINE_ITEM_ERRORS),
+          ...Object.keys(Contract.HIERARCHY_ERRORS)
+        ];
+        if (!known.includes(error.message)) {
+          console.error(`Import row ${row.row} error:`, error);
         }
-      });
 
-      if (shipmentStatus === 'BLOCKED') {
-        io.emit('contract:threshold_exceeded', {
-          contractId,
-          batteriesShipped: newTotal,
-          threshold: contract.threshold
+        results.push({
+          ...base,
+          status: 'ERROR',
+          code: known.includes(error.message) ? error.message : 'CREATE_ERROR'
         });
       }
+    }
 
-      res.status(201).json({
-        message: `Shipment ${shipmentStatus.toLowerCase()} successfully`,
-        shipment,
-        warning: shipmentStatus === 'BLOCKED' ? 'Shipment blocked due to threshold exceeded' : null
+    res.json({
+      mode,
+      summary: summarize(results),
+      rows: results
+    });
+
+  } catch (error) {
+    console.error('Import shipments error:', error);
+    res.status(500).json({
+      error: 'Failed to import shipments',
+      code: 'IMPORT_ERROR'
+    });
+  }
+});
+
+// Approve or reject a PENDING shipment (Manager/Admin)
+router.patch('/:shipmentId/status', requirePermission('approve_shipments'), [
+  body('status').isIn(['APPROVED', 'REJECTED']).withMessage('Status must be APPROVED or REJECTED'),
+  body('notes').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  let redisClient;
+  let lockKey;
+  let lockToken;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
+    }
+
+    const { shipmentId } = req.params;
+    const { status, notes } = req.body;
+
+    const pending = await Shipment.findOne({ shipmentId }).lean();
+
+    if (!pending) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        code: 'SHIPMENT_NOT_FOUND'
+      });
+    }
+
+    if (!(await canAccessContractId(req.user, pending.contractId, 'approve_shipments'))) {
+      return res.status(403).json({
+        error: `Permission 'approve_shipments' required on contract ${pending.contractId}`,
+        code: 'CONTRACT_ACCESS_DENIED'
+      });
+    }
+
+    if (pending.status !== 'PENDING') {
+      return res.status(409).json({
+        error: `Shipment is already ${pending.status}`,
+        code: 'SHIPMENT_NOT_PENDING'
+      });
+    }
+
+    // Approval consumes capacity, so it serialises with new shipments on the same lock
+    lockKey = `shipment:${pending.contractId}`;
+    redisClient = req.app.get('redis');
+    lockToken = await acquireLock(redisClient, lockKey, 10000);
+
+    if (!lockToken) {
+      return res.status(423).json({
+        error: 'Another shipment is being processed for this contract. Please try again.',
+        code: 'CONCURRENT_SHIPMENT'
+      });
+    }
+
+    await session.startTransaction();
+
+    let contract = await Contract.findById(pending.contract).session(session);
+
+    if (!contract) {
+      throw new Error('CONTRACT_NOT_FOUND');
+    }
+
+    if (status === 'APPROVED') {
+      if (contract.isLocked) {
+        throw new Error('CONTRACT_LOCKED');
+      }
+
+      const termError = contract.termError();
+      if (termError) {
+        throw new Error(termError);
+      }
+
+      // SKU limits or the catalog may have changed while the shipment waited
+      const lineItemError = await lineItemsError(contract, pending.lineItems || [], session);
+      if (lineItemError) {
+        throw new Error(lineItemError);
+      }
+
+      contract = await contract.shipBatteries(pending.batteriesShipped, session, 0, pending.lineItems || []);
+
+      if (!contract) {
+        throw new Error('THRESHOLD_EXCEEDED');
+      }
+    }
 
-    } finally {
-      await releaseLock(redisClient, lockKey);
+    const shipment = await Shipment.findOneAndUpdate(
+      { _id: pending._id, status: 'PENDING' },
+      {
+        $set: {
+          status,
+          reviewedBy: req.userId,
+          reviewedAt: new Date(),
+          reviewNotes: notes,
+          ...(status === 'APPROVED' ? { blockReason: null } : {})
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!shipment) {
+      throw new Error('SHIPMENT_NOT_PENDING');
     }
 
+    await session.commitTransaction();
+
+    await shipment.populate('userId contract', 'username fullName contractId deviceCount threshold isLocked');
+
+    await recordAudit(req, {
+      action: status === 'APPROVED' ? 'shipment.approved' : 'shipment.rejected',
+      category: 'shipment',
+      targetType: 'Shipment',
+      targetId: shipmentId,
+      before: { status: 'PENDING' },
+      after: { status },
+      reason: notes
+    });
+
+    const io = req.app.get('io');
+    io.publish('shipment:status_changed', {
+      shipment,
+      previousStatus: 'PENDING',
+      reviewedBy: req.user.username,
+      contract: {
+        contractId: contract.contractId,
+        batteriesShipped: contract.batteriesShipped,
+        threshold: contract.threshold,
+        isLocked: contract.isLocked,
+        skus: skuBreakdown(contract)
+      }
+    });
+
+    if (status === 'APPROVED') {
+      await evaluateThresholdAlerts(io, contract._id);
+
+      if (contract.parentContract) {
+        await evaluateThresholdAlerts(io, contract.parentContract);
+      }
+    }
+
+    res.json({
+      message: `Shipment ${status.toLowerCase()} successfully`,
+      shipment
+    });
+
   } catch (error) {
-    await session.abortTransaction();
-    console.error('Create shipment error:', error);
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Update shipment status error:', error);
+
+    if (error.message === 'LOCK_SERVICE_UNAVAILABLE') {
+      return res.status(503).json({
+        error: 'Locking service unavailable. Please try again shortly.',
+        code: 'LOCK_SERVICE_UNAVAILABLE'
+      });
+    }
 
     if (error.message === 'CONTRACT_NOT_FOUND') {
       return res.status(404).json({
@@ -283,11 +555,42 @@ router.post('/', requirePermission('create'), [
       });
     }
 
+    if (Contract.TERM_ERRORS[error.message]) {
+      return res.status(422).json({
+        error: Contract.TERM_ERRORS[error.message],
+        code: error.message
+      });
+    }
+
+    if (Contract.LINE_ITEM_ERRORS[error.message]) {
+      return res.status(422).json({
+        error: Contract.LINE_ITEM_ERRORS[error.message],
+        code: error.message
+      });
+    }
+
+    if (error.message === 'THRESHOLD_EXCEEDED') {
+      return res.status(409).json({
+        error: 'Shipment still exceeds the contract threshold, a SKU limit or its master agreement pool. Raise the limit or reject the shipment.',
+        code: 'THRESHOLD_EXCEEDED'
+      });
+    }
+
+    if (error.message === 'SHIPMENT_NOT_PENDING') {
+      return res.status(409).json({
+        error: 'Shipment was already reviewed',
+        code: 'SHIPMENT_NOT_PENDING'
+      });
+    }
+
     res.status(500).json({
-      error: 'Failed to create shipment',
-      code: 'CREATE_ERROR'
+      error: 'Failed to update shipment status',
+      code: 'UPDATE_ERROR'
     });
   } finally {
+    if (lockToken) {
+      await releaseLock(redisClient, lockKey, lockToken);
+    }
     await session.endSession();
   }
 });
@@ -306,6 +609,35 @@ router.get('/stats/summary', async (req, res) => {
       dateFilter.contractId = contractId;
     }
 
+    await scopeToContracts(req.user, dateFilter);
+
+    const skuStats = await Shipment.aggregate([
+      { $match: dateFilter },
+      { $unwind: '$lineItems' },
+      {
+        $group: {
+          _id: '$lineItems.sku',
+          shipments: { $sum: 1 },
+          totalBatteries: { $sum: '$lineItems.quantity' },
+          approvedBatteries: {
+            $sum: { $cond: [{ $eq: ['$status', 'APPROVED'] }, '$lineItems.quantity', 0] }
+          },
+          returnedBatteries: { $sum: { $ifNull: ['$lineItems.returned', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          sku: '$_id',
+          shipments: 1,
+          totalBatteries: 1,
+          approvedBatteries: 1,
+          returnedBatteries: 1
+        }
+      }
+    ]);
+
     const stats = await Shipment.aggregate([
       { $match: dateFilter },
       {
@@ -337,6 +669,7 @@ router.get('/stats/summary', async (req, res) => {
         totalShipments: 0,
         totalBatteriesShipped: 0
       },
+      skus: skuStats,
       period: `${days} days`,
       contractId: contractId || 'all'
     });
@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const BatterySku = require('../models/BatterySku');
+const Contract = require('../models/Contract');
+const Shipment = require('../models/Shipment');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+const skuValidation = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+// List the battery SKU catalog (`?active=true` for shippable SKUs only)
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const skus = await BatterySku.find(filter).sort({ sku: 1 }).lean();
+
+    res.json({ skus });
+
+  } catch (error) {
+    console.error('Get SKUs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch SKUs',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Get a single SKU
+router.get('/:sku', async (req, res) => {
+  try {
+    const sku = await BatterySku.findOne({ sku: req.params.sku.toUpperCase() })
+      .populate('createdBy', 'username fullName')
+      .populate('lastModifiedBy', 'username fullName');
+
+    if (!sku) {
+      return res.status(404).json({
+        error: 'SKU not found',
+        code: 'SKU_NOT_FOUND'
+      });
+    }
+
+    res.json({ sku });
+
+  } catch (error) {
+    console.error('Get SKU error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch SKU',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Add a SKU to the catalog (Manager/Admin)
+router.post('/', requirePermission('update'), [
+  body('sku').isString().trim().toUpperCase().matches(/^[A-Z0-9-]{1,50}$/)
+    .withMessage('SKU must be 1-50 letters, digits or dashes'),
+  body('name').notEmpty().withMessage('Name is required'),
+  ...skuValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { sku: code, name, description, isActive } = req.body;
+
+    const sku = new BatterySku({
+      sku: code,
+      name,
+      description,
+      isActive,
+      createdBy: req.userId
+    });
+
+    await sku.save();
+
+    await recordAudit(req, {
+      action: 'sku.created',
+      category: 'system',
+      targetType: 'BatterySku',
+      targetId: sku.sku,
+      after: sku
+    });
+
+    res.status(201).json({
+      message: 'SKU created successfully',
+      sku
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A SKU with this code already exists',
+        code: 'SKU_EXISTS'
+      });
+    }
+
+    console.error('Create SKU error:', error);
+    res.status(500).json({
+      error: 'Failed to create SKU',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update a SKU; deactivate it to stop new shipments while keeping its history (Manager/Admin)
+router.put('/:sku', requirePermission('update'), skuValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const sku = await BatterySku.findOne({ sku: req.params.sku.toUpperCase() });
+
+    if (!sku) {
+      return res.status(404).json({
+        error: 'SKU not found',
+        code: 'SKU_NOT_FOUND'
+      });
+    }
+
+    const before = sku.toObject();
+
+    for (const field of ['name', 'description', 'isActive']) {
+      if (req.body[field] !== undefined) {
+        sku[field] = req.body[field];
+      }
+    }
+    sku.lastModifiedBy = req.userId;
+
+    await sku.save();
+
+    await recordAudit(req, {
+      action: 'sku.updated',
+      category: 'system',
+      targetType: 'BatterySku',
+      targetId: sku.sku,
+      before,
+      after: sku
+    });
+
+    res.json({
+      message: 'SKU updated successfully',
+      sku
+    });
+
+  } catch (error) {
+    console.error('Update SKU error:', error);
+    res.status(500).json({
+      error: 'Failed to update SKU',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete a SKU that no shipment or contract refers to (Manager/Admin)
+router.delete('/:sku', requirePermission('update'), async (req, res) => {
+  try {
+    const code = req.params.sku.toUpperCase();
+    const sku = await BatterySku.findOne({ sku: code });
+
+    if (!sku) {
+      return res.status(404).json({
+        error: 'SKU not found',
+        code: 'SKU_NOT_FOUND'
+      });
+    }
+
+    const [shipments, contracts] = await Promise.all([
+      Shipment.exists({ 'lineItems.sku': code }),
+      Contract.exists({ 'skuLimits.sku': code })
+    ]);
+
+    if (shipments || contracts) {
+      return res.status(409).json({
+        error: 'SKU is used by shipments or contract limits. Deactivate it instead.',
+        code: 'SKU_IN_USE'
+      });
+    }
+
+    await sku.deleteOne();
+
+    await recordAudit(req, {
+      action: 'sku.deleted',
+      category: 'system',
+      targetType: 'BatterySku',
+      targetId: code,
+      before: sku
+    });
+
+    res.json({ message: 'SKU deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete SKU error:', error);
+    res.status(500).json({
+      error: 'Failed to delete SKU',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const ThresholdPolicy = require('../models/ThresholdPolicy');
+const Contract = require('../models/Contract');
+const { requirePermission } = require('../middleware/auth');
+const { contractFilter } = require('../services/accessService');
+const { recordAudit } = require('../services/auditService');
+const { previewPolicy, applyPolicy } = require('../services/thresholdPolicyService');
+
+const router = express.Router();
+
+const POLICY_FIELDS = ['name', 'description', 'ratio', 'priorityRatios', 'clientRatios', 'minPerDevice', 'maxPerDevice'];
+
+// Contract fields a threshold preview needs
+const PREVIEW_FIELDS = 'contractId clientName priority deviceCount threshold batteriesShipped batteriesReserved';
+
+const policyValidation = [
+  body('name').optional().isString().trim().matches(/^[A-Za-z0-9_-]{1,50}$/),
+  body('description').optional().isString().trim().isLength({ max: 200 }),
+  body('ratio').optional().isFloat({ min: 0 }).toFloat(),
+  body('priorityRatios').optional().isArray(),
+  body('priorityRatios.*.priority').isIn(ThresholdPolicy.PRIORITIES),
+  body('priorityRatios.*.ratio').isFloat({ min: 0 }).toFloat(),
+  body('clientRatios').optional().isArray(),
+  body('clientRatios.*.clientName').isString().trim().notEmpty(),
+  body('clientRatios.*.ratio').isFloat({ min: 0 }).toFloat(),
+  body('minPerDevice').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('maxPerDevice').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat()
+];
+
+const pickPolicyFields = (source) => Object.fromEntries(
+  POLICY_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+const capsError = (policy) => {
+  if (policy.minPerDevice != null && policy.maxPerDevice != null && policy.minPerDevice > policy.maxPerDevice) {
+    return {
+      error: 'minPerDevice cannot be greater than maxPerDevice',
+      code: 'INVALID_POLICY_CAPS'
+    };
+  }
+  return null;
+};
+
+// List threshold policies with the number of contracts using each
+router.get('/', async (req, res) => {
+  try {
+    const [policies, usage] = await Promise.all([
+      ThresholdPolicy.find().sort({ isSystem: -1, name: 1 }).lean(),
+      Contract.aggregate([
+        { $match: { thresholdPolicy: { $ne: null } } },
+        { $group: { _id: '$thresholdPolicy', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(usage.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      policies: policies.map(policy => ({
+        ...policy,
+        contractCount: counts.get(policy._id.toString()) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get threshold policies error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch threshold policies',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Preview a proposed policy against existing contracts without saving anything.
+// Covers the listed contractIds, or every contract the caller can see.
+router.post('/preview', [
+  body('ratio').isFloat({ min: 0 }).withMessage('Ratio is required'),
+  body('contractIds').optional().isArray(),
+  body('contractIds.*').isString(),
+  ...policyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const draft = new ThresholdPolicy({ name: 'preview', ...pickPolicyFields(req.body) });
+
+    const invalidCaps = capsError(draft);
+    if (invalidCaps) {
+      return res.status(400).json(invalidCaps);
+    }
+
+    const filter = contractFilter(req.user);
+    if (req.body.contractIds) {
+      filter.contractId = { $in: req.body.contractIds };
+    }
+
+    const contracts = await Contract.find(filter).select(PREVIEW_FIELDS).sort({ contractId: 1 }).lean();
+
+    res.json(previewPolicy(draft, contracts));
+
+  } catch (error) {
+    console.error('Preview threshold policy error:', error);
+    res.status(500).json({
+      error: 'Failed to preview threshold policy',
+      code: 'PREVIEW_ERROR'
+    });
+  }
+});
+
+// Get a single threshold policy
+router.get('/:policyId', async (req, res) => {
+  try {
+    const policy = mongoose.isValidObjectId(req.params.policyId)
+      ? await ThresholdPolicy.findById(req.params.policyId)
+        .populate('createdBy', 'username fullName')
+        .populate('lastModifiedBy', 'username fullName')
+      : null;
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Threshold policy not found',
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    const contractCount = await Contract.countDocuments({ thresholdPolicy: policy._id });
+
+    res.json({ policy, contractCount });
+
+  } catch (error) {
+    console.error('Get threshold policy error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch threshold policy',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Preview changes to a policy against the contracts that use it, without saving
+router.post('/:policyId/preview', policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const policy = mongoose.isValidObjectId(req.params.policyId)
+      ? await ThresholdPolicy.findById(req.params.policyId)
+      : null;
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Threshold policy not found',
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    const draft = new ThresholdPolicy({ ...policy.toObject(), ...pickPolicyFields(req.body) });
+
+    const invalidCaps = capsError(draft);
+    if (invalidCaps) {
+      return res.status(400).json(invalidCaps);
+    }
+
+    const contracts = await Contract.find({ ...contractFilter(req.user), thresholdPolicy: policy._id })
+      .select(PREVIEW_FIELDS)
+      .sort({ contractId: 1 })
+      .lean();
+
+    res.json(previewPolicy(draft, contracts));
+
+  } catch (error) {
+    console.error('Preview threshold policy error:', error);
+    res.status(500).json({
+      error: 'Failed to preview threshold policy',
+      code: 'PREVIEW_ERROR'
+    });
+  }
+});
+
+// Create threshold policy (Manager/Admin)
+router.post('/', requirePermission('update'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('ratio').isFloat({ min: 0 }).withMessage('Ratio is required'),
+  ...policyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const policy = new ThresholdPolicy({
+      ...pickPolicyFields(req.body),
+      createdBy: req.userId,
+      lastModifiedBy: req.userId
+    });
+
+    const invalidCaps = capsError(policy);
+    if (invalidCaps) {
+      return res.status(400).json(invalidCaps);
+    }
+
+    await policy.save();
+
+    await recordAudit(req, {
+      action: 'threshold_policy.created',
+      category: 'contract',
+      targetType: 'ThresholdPolicy',
+      targetId: policy._id,
+      after: policy
+    });
+
+    res.status(201).json({
+      message: 'Threshold policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A threshold policy with this name already exists',
+        code: 'POLICY_EXISTS'
+      });
+    }
+
+    console.error('Create threshold policy error:', error);
+    res.status(500).json({
+      error: 'Failed to create threshold policy',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update threshold policy and recompute every contract that uses it (Manager/Admin)
+router.put('/:policyId', requirePermission('update'), policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const policy = mongoose.isValidObjectId(req.params.policyId)
+      ? await ThresholdPolicy.findById(req.params.policyId)
+      : null;
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Threshold policy not found',
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    const updates = pickPolicyFields(req.body);
+
+    if (policy.isSystem && updates.name !== undefined && updates.name.toLowerCase() !== policy.name) {
+      return res.status(400).json({
+        error: 'The built-in policy cannot be renamed',
+        code: 'SYSTEM_POLICY'
+      });
+    }
+
+    const before = policy.toObject();
+    policy.set({ ...updates, lastModifiedBy: req.userId });
+
+    const invalidCaps = capsError(policy);
+    if (invalidCaps) {
+      return res.status(400).json(invalidCaps);
+    }
+
+    await policy.save();
+
+    const applied = await applyPolicy(req.app.get('io'), policy, req.user);
+
+    await recordAudit(req, {
+      action: 'threshold_policy.updated',
+      category: 'contract',
+      targetType: 'ThresholdPolicy',
+      targetId: policy._id,
+      before,
+      after: policy,
+      metadata: {
+        contractsUpdated: applied.updated.length,
+        contractsFailed: applied.failed.length
+      }
+    });
+
+    res.json({
+      message: 'Threshold policy updated successfully',
+      policy,
+      applied
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A threshold policy with this name already exists',
+        code: 'POLICY_EXISTS'
+      });
+    }
+
+    console.error('Update threshold policy error:', error);
+    res.status(500).json({
+      error: 'Failed to update threshold policy',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete threshold policy; refused while contracts still use it (Manager/Admin)
+router.delete('/:policyId', requirePermission('update'), async (req, res) => {
+  try {
+    const policy = mongoose.isValidObjectId(req.params.policyId)
+      ? await ThresholdPolicy.findById(req.params.policyId)
+      : null;
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Threshold policy not found',
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    if (policy.isSystem) {
+      return res.status(400).json({
+        error: 'The built-in policy cannot be deleted',
+        code: 'SYSTEM_POLICY'
+      });
+    }
+
+    const contractCount = await Contract.countDocuments({ thresholdPolicy: policy._id });
+    if (contractCount > 0) {
+      return res.status(409).json({
+        error: `Threshold policy is used by ${contractCount} contract(s)`,
+        code: 'POLICY_IN_USE',
+        contractCount
+      });
+    }
+
+    await policy.deleteOne();
+
+    await recordAudit(req, {
+      action: 'threshold_policy.deleted',
+      category: 'contract',
+      targetType: 'ThresholdPolicy',
+      targetId: policy._id,
+      before: policy
+    });
+
+    res.json({ message: 'Threshold policy deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete threshold policy error:', error);
+    res.status(500).json({
+      error: 'Failed to delete threshold policy',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { sendShipmentNotification } = require('../services/emailService');
+const { recordAudit } = require('../services/auditService');
+const { getRole } = require('../services/accessService');
+
+const router = express.Router();
+
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS || '72');
+const USER_FIELDS = '-password -refreshTokens -inviteTokenHash';
+
+router.use(requirePermission('manage_users'));
+
+// Roles are defined in the roles collection
+const isKnownRole = async (name) => {
+  if (!(await getRole(name))) {
+    throw new Error('Unknown role');
+  }
+  return true;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shape a user for admin responses
+const toAdminView = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  accountType: user.accountType,
+  fullName: user.fullName,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  department: user.department,
+  isActive: user.isActive,
+  isLocked: user.isLocked,
+  loginAttempts: user.loginAttempts,
+  lockUntil: user.lockUntil,
+  lastLogin: user.lastLogin,
+  invitePending: !!user.inviteTokenHash,
+  mfaEnabled: !!user.mfa?.enabled,
+  invitedAt: user.invitedAt,
+  deactivatedAt: user.deactivatedAt,
+  deactivationReason: user.deactivationReason,
+  createdAt: user.createdAt
+});
+
+// Load the target user, rejecting bad IDs and changes to the caller's own account
+const loadTarget = async (req, res, { allowSelf = false } = {}) => {
+  const { userId } = req.params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    res.status(404).json({
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!allowSelf && req.userId.equals(userId)) {
+    res.status(400).json({
+      error: 'Administrators cannot change their own role or status',
+      code: 'CANNOT_MODIFY_SELF'
+    });
+    return null;
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    res.status(404).json({
+      error: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// List and search users (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { search, role, isActive, locked, accountType, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+    const filter = {};
+
+    if (role) {
+      filter.role = role;
+    }
+
+    if (accountType) {
+      filter.accountType = accountType;
+    }
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    if (locked === 'true') {
+      filter.lockUntil = { $gt: new Date() };
+    }
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+        { department: pattern }
+      ];
+    }
+
+    const total = await User.countDocuments(filter);
+
+    const users = await User.find(filter)
+      .select(USER_FIELDS)
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      users: users.map(toAdminView),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Get single user (Admin only)
+router.get('/:userId', async (req, res) => {
+  try {
+    const user = await loadTarget(req, res, { allowSelf: true });
+    if (!user) return;
+
+    res.json({ user: toAdminView(user) });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Invite a new user by email (Admin only)
+router.post('/invite', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('username')
+    .isLength({ min: 3, max: 50 })
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('role').optional().isString().trim().toLowerCase().custom(isKnownRole),
+  body('firstName').optional().isString().trim(),
+  body('lastName').optional().isString().trim(),
+  body('department').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email, username, role = 'user', firstName, lastName, department } = req.body;
+
+    const existingUser = await User.findOne({
+      $or: [
+        { email: email.toLowerCase() },
+        { username }
+      ]
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        error: 'User already exists',
+        code: 'USER_EXISTS'
+      });
+    }
+
+    // Inactive with an unusable password until the invite is accepted
+    const user = new User({
+      username,
+      email: email.toLowerCase(),
+      password: crypto.randomBytes(32).toString('hex'),
+      firstName,
+      lastName,
+      department,
+      role,
+      isActive: false,
+      invitedBy: req.userId,
+      invitedAt: new Date()
+    });
+
+    const token = user.createInviteToken(INVITE_TTL_HOURS);
+    await user.save();
+
+    await sendShipmentNotification({
+      type: 'USER_INVITE',
+      userEmail: user.email,
+      userName: user.firstName || user.username,
+      role,
+      invitedBy: req.user.username,
+      expiresInHours: INVITE_TTL_HOURS,
+      actionUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/accept-invite?token=${token}`
+    });
+
+    await recordAudit(req, {
+      action: 'user.invited',
+      category: 'user',
+      targetType: 'User',
+      targetId: user._id,
+      after: user
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:user_invited', {
+      userId: user._id,
+      username: user.username,
+      email: user.email,
+      role,
+      invitedBy: req.user.username
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      user: toAdminView(user)
+    });
+
+  } catch (error) {
+    console.error('Invite user error:', error);
+    res.status(500).json({
+      error: 'Failed to invite user',
+      code: 'INVITE_ERROR'
+    });
+  }
+});
+
+// Change a user's role (Admin only)
+router.patch('/:userId/role', [
+  body('role').isString().trim().toLowerCase().custom(isKnownRole)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadTarget(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    const { role } = req.body;
+
+    if (previousRole === role) {
+      return res.json({
+        message: 'Role unchanged',
+        user: toAdminView(user)
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role_changed',
+      category: 'user',
+      targetType: 'User',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:user_role_changed', {
+      userId: user._id,
+      username: user.username,
+      previousRole,
+      role,
+      changedBy: req.user.username
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      user: toAdminView(user)
+    });
+
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      error: 'Failed to change role',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Deactivate or reactivate a user (Admin only)
+router.patch('/:userId/status', [
+  body('isActive').isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadTarget(req, res);
+    if (!user) return;
+
+    const { isActive, reason } = req.body;
+    const wasActive = user.isActive;
+
+    user.isActive = isActive;
+
+    if (isActive) {
+      user.deactivatedAt = undefined;
+      user.deactivationReason = undefined;
+    } else {
+      user.deactivatedAt = new Date();
+      user.deactivationReason = reason;
+      // Deactivated accounts lose every session immediately
+      user.refreshTokens = [];
+    }
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: isActive ? 'user.reactivated' : 'user.deactivated',
+      category: 'user',
+      targetType: 'User',
+      targetId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive },
+      reason
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:user_status_changed', {
+      userId: user._id,
+      username: user.username,
+      isActive,
+      reason,
+      changedBy: req.user.username
+    });
+
+    res.json({
+      message: `User ${isActive ? 'reactivated' : 'deactivated'} successfully`,
+      user: toAdminView(user)
+    });
+
+  } catch (error) {
+    console.error('Change user status error:', error);
+    res.status(500).json({
+      error: 'Failed to change user status',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Clear a login lockout (Admin only)
+router.post('/:userId/unlock', async (req, res) => {
+  try {
+    const user = await loadTarget(req, res, { allowSelf: true });
+    if (!user) return;
+
+    const before = { loginAttempts: user.loginAttempts, lockUntil: user.lockUntil };
+
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { lockUntil: 1 }, $set: { loginAttempts: 0 } }
+    );
+
+    await recordAudit(req, {
+      action: 'user.unlocked',
+      category: 'user',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: { loginAttempts: 0, lockUntil: null }
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:user_unlocked', {
+      userId: user._id,
+      username: user.username,
+      unlockedBy: req.user.username
+    });
+
+    res.json({ message: 'User unlocked successfully' });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      error: 'Failed to unlock user',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Reset two-factor for a user who lost their authenticator (Admin only).
+// Signs them out everywhere so they must log in and enroll again.
+router.post('/:userId/mfa/reset', async (req, res) => {
+  try {
+    const user = await loadTarget(req, res);
+    if (!user) return;
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled for this user',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    user.mfa = { enabled: false };
+    user.refreshTokens = [];
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.mfa_reset',
+      category: 'user',
+      targetType: 'User',
+      targetId: user._id,
+      before: { mfaEnabled: true },
+      after: { mfaEnabled: false }
+    });
+
+    const io = req.app.get('io');
+    io.broadcastToAdmins('admin:user_mfa_reset', {
+      userId: user._id,
+      username: user.username,
+      resetBy: req.user.username
+    });
+
+    res.json({ message: 'Two-factor authentication reset successfully' });
+
+  } catch (error) {
+    console.error('Reset MFA error:', error);
+    res.status(500).json({
+      error: 'Failed to reset two-factor authentication',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,432 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { requirePermission } = require('../middleware/auth');
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  webhookTargetError,
+  enqueueTestDelivery,
+  redeliver
+} = require('../services/webhookService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+router.use(requirePermission('manage_webhooks'));
+
+const subscriptionValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+      .withMessage('URL must be an absolute http(s) URL')
+      .bail()
+      .custom(async (url) => {
+        const targetError = await webhookTargetError(url);
+        if (targetError) throw new Error(targetError);
+      }),
+    field('events').isArray({ min: 1 }).withMessage('At least one event is required'),
+    body('events.*')
+      .isIn([...WEBHOOK_EVENTS, '*'])
+      .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}, or *`),
+    body('contractIds').optional().isArray(),
+    body('contractIds.*').isString().trim(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+// Load a subscription from the route, answering 404 for anything else
+const loadSubscription = async (req, res) => {
+  const { webhookId } = req.params;
+
+  const subscription = mongoose.isValidObjectId(webhookId)
+    ? await WebhookSubscription.findById(webhookId)
+    : null;
+
+  if (!subscription) {
+    res.status(404).json({
+      error: 'Webhook not found',
+      code: 'WEBHOOK_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return subscription;
+};
+
+const toAuditView = (subscription) => ({
+  name: subscription.name,
+  url: subscription.url,
+  events: subscription.events,
+  contractIds: subscription.contractIds,
+  isActive: subscription.isActive
+});
+
+// List the event types that can be subscribed to
+router.get('/events', (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+// List webhook subscriptions
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await WebhookSubscription.find()
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscription: { $in: webhooks.map(w => w._id) } } },
+      { $group: { _id: { subscription: '$subscription', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      webhooks: webhooks.map(webhook => ({
+        ...webhook,
+        deliveryCounts: Object.fromEntries(
+          counts
+            .filter(c => c._id.subscription.equals(webhook._id))
+            .map(c => [c._id.status, c.count])
+        )
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhooks',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Get a single delivery including the signed body and its attempt log
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const delivery = mongoose.isValidObjectId(deliveryId)
+      ? await WebhookDelivery.findById(deliveryId).populate('subscription', 'name url').lean()
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Webhook delivery not found',
+        code: 'DELIVERY_NOT_FOUND'
+      });
+    }
+
+    res.json({ delivery });
+
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook delivery',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Re-send a delivery now, whatever its outcome so far
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    if (!mongoose.isValidObjectId(deliveryId)) {
+      return res.status(404).json({
+        error: 'Webhook delivery not found',
+        code: 'DELIVERY_NOT_FOUND'
+      });
+    }
+
+    const delivery = await redeliver(deliveryId);
+
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: deliveryId });
+      return res.status(exists ? 409 : 404).json(exists
+        ? { error: 'Delivery is being sent right now', code: 'DELIVERY_IN_PROGRESS' }
+        : { error: 'Webhook delivery not found', code: 'DELIVERY_NOT_FOUND' });
+    }
+
+    await recordAudit(req, {
+      action: 'webhook.redelivered',
+      category: 'system',
+      targetType: 'WebhookDelivery',
+      targetId: delivery._id,
+      metadata: { event: delivery.event, subscription: delivery.subscription }
+    });
+
+    res.json({
+      message: 'Delivery re-queued',
+      delivery: { ...delivery.toObject(), body: undefined }
+    });
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to redeliver webhook',
+      code: 'REDELIVER_ERROR'
+    });
+  }
+});
+
+// Get a single subscription
+router.get('/:webhookId', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    res.json({ webhook: subscription });
+
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Register a webhook endpoint; the signing secret is only returned here and on rotation
+router.post('/', subscriptionValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, url, events, contractIds = [], isActive } = req.body;
+    const secret = generateWebhookSecret();
+
+    const subscription = await WebhookSubscription.create({
+      name,
+      url,
+      events: [...new Set(events)],
+      contractIds: [...new Set(contractIds)],
+      isActive,
+      secret,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.created',
+      category: 'system',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      after: toAuditView(subscription)
+    });
+
+    res.status(201).json({
+      message: 'Webhook created successfully. Store the secret now; it will not be shown again.',
+      webhook: { ...subscription.toObject(), secret: undefined },
+      secret
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update a subscription's endpoint, events, contract filter or active flag
+router.put('/:webhookId', subscriptionValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const before = toAuditView(subscription);
+    const { name, url, events, contractIds, isActive } = req.body;
+
+    if (name !== undefined) subscription.name = name;
+    if (url !== undefined) subscription.url = url;
+    if (events !== undefined) subscription.events = [...new Set(events)];
+    if (contractIds !== undefined) subscription.contractIds = [...new Set(contractIds)];
+    if (isActive !== undefined) subscription.isActive = isActive;
+    await subscription.save();
+
+    await recordAudit(req, {
+      action: 'webhook.updated',
+      category: 'system',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      before,
+      after: toAuditView(subscription)
+    });
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook: subscription
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Replace the signing secret; deliveries sent from now on use the new one
+router.post('/:webhookId/rotate-secret', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const secret = generateWebhookSecret();
+    subscription.secret = secret;
+    await subscription.save();
+
+    await recordAudit(req, {
+      action: 'webhook.secret_rotated',
+      category: 'system',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id
+    });
+
+    res.json({
+      message: 'Webhook secret rotated. Store the secret now; it will not be shown again.',
+      secret
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate webhook secret',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Queue a signed test delivery to check the endpoint
+router.post('/:webhookId/test', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    if (!subscription.isActive) {
+      return res.status(409).json({
+        error: 'Webhook is disabled',
+        code: 'WEBHOOK_INACTIVE'
+      });
+    }
+
+    const delivery = await enqueueTestDelivery(subscription, req.user);
+
+    res.status(202).json({
+      message: 'Test delivery queued',
+      deliveryId: delivery._id
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to queue test delivery',
+      code: 'TEST_ERROR'
+    });
+  }
+});
+
+// Delivery log for a subscription, newest first
+router.get('/:webhookId/deliveries', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status, event, contractId } = req.query;
+
+    const filter = { subscription: subscription._id };
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (event) {
+      filter.event = event;
+    }
+
+    if (contractId) {
+      filter.contractId = contractId;
+    }
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-body')
+      .lean();
+
+    res.json({
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook deliveries',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Delete a subscription; pending deliveries are dropped with it
+router.delete('/:webhookId', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    await WebhookDelivery.deleteMany({ subscription: subscription._id, status: { $in: ['PENDING', 'DEAD'] } });
+    await subscription.deleteOne();
+
+    await recordAudit(req, {
+      action: 'webhook.deleted',
+      category: 'system',
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      before: toAuditView(subscription)
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
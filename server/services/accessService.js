@@ -0,0 +1,158 @@
+// Role and contract-level access resolution.
+// Roles live in the roles collection and are cached in memory for ROLE_CACHE_TTL_MS,
+// so edits made on another API node take effect within that window.
+
+const Role = require('../models/Role');
+const Contract = require('../models/Contract');
+
+const ROLE_CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS || '60000');
+
+let roleCache = null; // name -> role
+let roleCacheLoadedAt = 0;
+
+const loadRoles = async () => {
+  if (roleCache && Date.now() - roleCacheLoadedAt < ROLE_CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = await Role.find().lean();
+  roleCache = new Map(roles.map(role => [role.name, role]));
+  roleCacheLoadedAt = Date.now();
+  return roleCache;
+};
+
+// Drop cached roles after a local change
+const invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+// Resolve a role by name; built-in defaults stand in until the collection is seeded
+const getRole = async (name) => {
+  const roles = await loadRoles();
+  return roles.get(name) || Role.DEFAULT_ROLES.find(role => role.name === name) || null;
+};
+
+// Insert any missing built-in roles without touching edited ones
+const seedDefaultRoles = async () => {
+  for (const role of Role.DEFAULT_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+
+  // The admin role always picks up permissions introduced after it was seeded
+  await Role.updateOne(
+    { name: 'admin' },
+    { $addToSet: { permissions: { $each: Role.PERMISSIONS } } }
+  );
+
+  invalidateRoleCache();
+};
+
+// Load the user's role onto the document so user.hasPermission() reflects the database.
+// An unknown role grants nothing.
+const attachRole = async (user) => {
+  const role = await getRole(user.role);
+
+  user.$locals.permissions = role ? role.permissions : [];
+  user.$locals.contractScope = role ? role.contractScope : 'ASSIGNED';
+  return role;
+};
+
+// Names of unrestricted (ALL-scope) roles that grant `permission`
+const rolesWithPermission = async (permission) => {
+  const roles = await loadRoles();
+  const candidates = [
+    ...roles.values(),
+    ...Role.DEFAULT_ROLES.filter(role => !roles.has(role.name))
+  ];
+
+  return candidates
+    .filter(role => role.contractScope === 'ALL' && role.permissions.includes(permission))
+    .map(role => role.name);
+};
+
+const isAssignedScope = (user) => user.$locals.contractScope === 'ASSIGNED';
+
+// API keys may be limited to a list of contracts on top of the role's scope
+const isRestricted = (user) => isAssignedScope(user) || !!user.$locals.apiKeyContracts;
+
+// Contract query filter for what the user may do `permission` on; {} when unrestricted
+const contractFilter = (user, permission = 'read') => {
+  const conditions = [];
+
+  if (isAssignedScope(user)) {
+    conditions.push({
+      accessList: {
+        $elemMatch: {
+          user: user._id,
+          $or: [{ permissions: { $size: 0 } }, { permissions: permission }]
+        }
+      }
+    });
+  }
+
+  if (user.$locals.apiKeyContracts) {
+    conditions.push({ contractId: { $in: user.$locals.apiKeyContracts } });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Business contract IDs the user may access, or null when unrestricted
+const accessibleContractIds = async (user, permission = 'read') => {
+  if (!isRestricted(user)) return null;
+
+  const contracts = await Contract.find(contractFilter(user, permission)).select('contractId').lean();
+  return contracts.map(contract => contract.contractId);
+};
+
+// Narrow a filter on a collection keyed by contractId (shipments, reservations, returns)
+const scopeToContracts = async (user, filter, permission = 'read') => {
+  const contractIds = await accessibleContractIds(user, permission);
+  if (contractIds === null) return filter;
+
+  filter.$and = [...(filter.$and || []), { contractId: { $in: contractIds } }];
+  return filter;
+};
+
+// Whether the user may do `permission` on this contract (needs accessList loaded)
+const canAccessContract = (user, contract, permission = 'read') => {
+  if (!user.hasPermission(permission)) return false;
+
+  if (user.$locals.apiKeyContracts && !user.$locals.apiKeyContracts.includes(contract.contractId)) {
+    return false;
+  }
+
+  if (!isAssignedScope(user)) return true;
+
+  const entry = (contract.accessList || []).find(item => item.user.equals(user._id));
+  if (!entry) return false;
+
+  return entry.permissions.length === 0 || entry.permissions.includes(permission);
+};
+
+// Check access to a contract by business ID (missing contracts are left to the route to 404)
+const canAccessContractId = async (user, contractId, permission = 'read') => {
+  if (!user.hasPermission(permission)) return false;
+  if (!isRestricted(user)) return true;
+
+  return !!(await Contract.exists({ contractId, ...contractFilter(user, permission) }));
+};
+
+module.exports = {
+  getRole,
+  seedDefaultRoles,
+  invalidateRoleCache,
+  attachRole,
+  rolesWithPermission,
+  isAssignedScope,
+  isRestricted,
+  contractFilter,
+  accessibleContractIds,
+  scopeToContracts,
+  canAccessContract,
+  canAccessContractId
+};
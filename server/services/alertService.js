@@ -0,0 +1,118 @@
+// Multi-tier threshold alerts.
+// A tier fires once when usage crosses it and re-arms when usage drops back below,
+// so each crossing produces exactly one alert per rule.
+
+const Contract = require('../models/Contract');
+const AlertRule = require('../models/AlertRule');
+const User = require('../models/User');
+const { sendShipmentNotification } = require('./emailService');
+const { rolesWithPermission } = require('./accessService');
+
+// Recipients for rules that don't name any: opted-in users whose role may
+// update every contract (managers and admins by default)
+const defaultRecipients = async () => {
+  const users = await User.find({
+    role: { $in: await rolesWithPermission('update') },
+    isActive: true,
+    'emailNotifications.thresholdWarnings': true
+  }).select('email').lean();
+
+  return users.map(user => user.email);
+};
+
+// Atomically claim a rule tier; only one concurrent caller gets true
+const claimTier = async (contractObjectId, ruleId, tier) => {
+  const claimed = await Contract.findOneAndUpdate(
+    {
+      _id: contractObjectId,
+      alertsFired: { $not: { $elemMatch: { rule: ruleId, tier } } }
+    },
+    { $push: { alertsFired: { rule: ruleId, tier, firedAt: new Date() } } }
+  );
+
+  return !!claimed;
+};
+
+const fireRule = async (io, contract, rule, tier, percentage) => {
+  const recipients = rule.recipients.length > 0 ? rule.recipients : await defaultRecipients();
+  const message = `⚠ Contract ${contract.contractId} reached ${tier}% of its threshold (${contract.batteriesShipped}/${contract.threshold}) - ${rule.name}`;
+
+  if (rule.channels.includes('EMAIL')) {
+    for (const email of recipients) {
+      try {
+        await sendShipmentNotification({
+          type: 'THRESHOLD_WARNING',
+          contractId: contract.contractId,
+          totalShipped: contract.batteriesShipped,
+          threshold: contract.threshold,
+          deviceCount: contract.deviceCount,
+          userEmail: email
+        });
+      } catch (emailError) {
+        console.error('Threshold warning email failed:', emailError);
+      }
+    }
+  }
+
+  if (rule.channels.includes('SOCKET')) {
+    io.publish('contract:threshold_warning', {
+      contractId: contract.contractId,
+      tier,
+      percentage: Math.round(percentage * 100) / 100,
+      batteriesShipped: contract.batteriesShipped,
+      threshold: contract.threshold,
+      rule: rule.name
+    });
+  }
+
+  const notifications = (recipients.length > 0 ? recipients : ['system']).map(email => ({
+    email,
+    message,
+    type: 'THRESHOLD_WARNING',
+    timestamp: new Date()
+  }));
+
+  await Contract.updateOne(
+    { _id: contract._id },
+    { $push: { notificationsSent: { $each: notifications } } }
+  );
+};
+
+// Evaluate alert rules for a contract after its usage changed
+const evaluateThresholdAlerts = async (io, contractObjectId) => {
+  try {
+    const contract = await Contract.findById(contractObjectId).lean();
+    if (!contract) return;
+
+    const percentage = contract.threshold > 0 ? (contract.batteriesShipped / contract.threshold) * 100 : 0;
+
+    // Re-arm every tier usage has dropped back below (returns, raised thresholds)
+    await Contract.updateOne(
+      { _id: contract._id },
+      { $pull: { alertsFired: { tier: { $gt: percentage } } } }
+    );
+
+    const rules = await AlertRule.forContract(contract._id);
+
+    for (const rule of rules) {
+      const claimed = [];
+
+      for (const tier of rule.tiers.filter(t => percentage >= t)) {
+        if (await claimTier(contract._id, rule._id, tier)) {
+          claimed.push(tier);
+        }
+      }
+
+      // One shipment can jump several tiers; alert once, at the highest
+      if (claimed.length > 0) {
+        await fireRule(io, contract, rule, Math.max(...claimed), percentage);
+      }
+    }
+  } catch (error) {
+    console.error('Threshold alert evaluation failed:', error);
+  }
+};
+
+module.exports = {
+  evaluateThresholdAlerts
+};
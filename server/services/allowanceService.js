@@ -0,0 +1,105 @@
+// Periodic quota allowances.
+// A contract with an allowance may ship at most `limit` (plus any carried-over
+// balance) per calendar period, on top of its lifetime threshold; the atomic
+// check lives in Contract.shipBatteries. This scheduler moves contracts into the
+// next period as soon as one ends, carrying unused allowance over when enabled
+// and unlocking contracts that were locked only for their period limit.
+
+const Contract = require('../models/Contract');
+const Shipment = require('../models/Shipment');
+
+const CHECK_INTERVAL = parseInt(process.env.ALLOWANCE_CHECK_INTERVAL_MS || '60000');
+
+// Batteries shipped on a contract within [start, end); approvals count when they were approved
+const shippedInPeriod = async (contractId, start, end) => {
+  const [result] = await Shipment.aggregate([
+    { $match: { contractId, status: 'APPROVED' } },
+    { $addFields: { countedAt: { $ifNull: ['$reviewedAt', '$timestamp'] } } },
+    { $match: { countedAt: { $gte: start, $lt: end } } },
+    { $group: { _id: null, total: { $sum: '$batteriesShipped' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+// Lift a period-limit lock once the allowance (if any) has room again
+const releasePeriodLock = (contractObjectId) => {
+  return Contract.findOneAndUpdate(
+    {
+      _id: contractObjectId,
+      isLocked: true,
+      lockReason: 'PERIOD_LIMIT_EXCEEDED',
+      $or: [
+        { allowance: null },
+        { $expr: { $lt: ['$allowance.shippedThisPeriod', { $add: ['$allowance.limit', '$allowance.carriedOver'] }] } }
+      ]
+    },
+    { $set: { isLocked: false, lockReason: null, lastUpdated: new Date() } },
+    { new: true }
+  );
+};
+
+const publishPeriodStart = (io, contract, unlocked) => {
+  const { period, periodStart, periodEnd, limit, carriedOver } = contract.allowance;
+
+  io.publish('contract:period_started', {
+    contractId: contract.contractId,
+    period,
+    periodStart,
+    periodEnd,
+    limit,
+    carriedOver
+  });
+
+  if (unlocked) {
+    io.publish('contract:lock_changed', {
+      contractId: contract.contractId,
+      isLocked: false,
+      changedBy: 'system',
+      reason: `New ${period.toLowerCase()} allowance period started`
+    });
+  }
+};
+
+// Roll every contract whose allowance period has ended
+const rollOverAllowances = async (io) => {
+  const due = await Contract.find({ 'allowance.periodEnd': { $lte: new Date() } });
+  let rolledCount = 0;
+
+  for (const contract of due) {
+    const { contract: current, rolled, unlocked } = await Contract.rollAllowancePeriod(contract);
+    if (!rolled) continue;
+
+    publishPeriodStart(io, current, unlocked);
+    rolledCount++;
+  }
+
+  return rolledCount;
+};
+
+const startAllowanceScheduler = (io) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await rollOverAllowances(io);
+    } catch (error) {
+      console.error('Allowance period rollover failed:', error);
+    } finally {
+      running = false;
+    }
+  }, CHECK_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  shippedInPeriod,
+  releasePeriodLock,
+  rollOverAllowances,
+  startAllowanceScheduler
+};
@@ -0,0 +1,84 @@
+// API keys for service accounts (warehouse and ERP integrations).
+// Keys look like pbr_<keyId>_<secret>; only a sha256 of the secret is stored.
+// A key can do no more than its service account's role, narrowed further by
+// its scopes (<resource>:<permission>) and, optionally, a list of contracts.
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const API_KEY_SCOPES = [
+  'contracts:read',
+  'shipments:read',
+  'shipments:create',
+  'reservations:read',
+  'reservations:create',
+  'returns:read',
+  'returns:create'
+];
+
+const API_KEY_PATTERN = /^pbr_([a-f0-9]{16})_([A-Za-z0-9_-]{32})$/;
+
+// lastUsedAt is only rewritten once per minute so busy integrations don't write on every call
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// New key material; `key` is returned to the caller once and never stored
+const generateApiKey = () => {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+
+  return {
+    keyId,
+    key: `pbr_${keyId}_${secret}`,
+    secretHash: hashSecret(secret)
+  };
+};
+
+// Resolve a raw key to its ApiKey document.
+// Throws API_KEY_INVALID, API_KEY_REVOKED or API_KEY_EXPIRED.
+const authenticateApiKey = async (rawKey, ip) => {
+  const match = API_KEY_PATTERN.exec(String(rawKey).trim());
+  if (!match) throw new Error('API_KEY_INVALID');
+
+  const [, keyId, secret] = match;
+  const apiKey = await ApiKey.findOne({ keyId });
+
+  if (!apiKey || !crypto.timingSafeEqual(Buffer.from(apiKey.secretHash), Buffer.from(hashSecret(secret)))) {
+    throw new Error('API_KEY_INVALID');
+  }
+
+  if (apiKey.revokedAt) throw new Error('API_KEY_REVOKED');
+  if (apiKey.expiresAt && apiKey.expiresAt <= Date.now()) throw new Error('API_KEY_EXPIRED');
+
+  ApiKey.updateOne(
+    {
+      _id: apiKey._id,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(Date.now() - LAST_USED_RESOLUTION_MS) } }
+      ]
+    },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }
+  ).catch(error => console.error('API key last-used update error:', error));
+
+  return apiKey;
+};
+
+// Scope an API key needs for `permission` on the API mounted at req.baseUrl
+// (e.g. POST /api/shipments with 'create' -> shipments:create)
+const requiredScope = (req, permission) => `${req.baseUrl.split('/').pop()}:${permission}`;
+
+// Whether the key holds any scope on the API being called
+const hasResourceScope = (req, apiKey) => {
+  const resource = req.baseUrl.split('/').pop();
+  return apiKey.scopes.some(scope => scope.startsWith(`${resource}:`));
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey,
+  authenticateApiKey,
+  requiredScope,
+  hasResourceScope
+};
@@ -0,0 +1,78 @@
+// Append-only audit trail for mutations across auth, contracts and shipments.
+// Recording never throws: a failed audit write is logged, not surfaced to the caller.
+
+const AuditEvent = require('../models/AuditEvent');
+
+// Plain snapshot of a document (or object) without Mongo internals
+const snapshot = (value) => {
+  if (!value) return undefined;
+  const plain = typeof value.toObject === 'function' ? value.toObject({ virtuals: false }) : { ...value };
+  delete plain.__v;
+  delete plain.password;
+  delete plain.refreshTokens;
+  delete plain.passwordHistory;
+  delete plain.passwordResetTokenHash;
+  delete plain.inviteTokenHash;
+  delete plain.secretHash;
+  delete plain.mfa;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Shallow field-level diff between two snapshots
+const diff = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const ignored = ['_id', 'updatedAt', 'lastUpdated', 'notificationsSent'];
+
+  return [...fields]
+    .filter(field => !ignored.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+// Record one audit event for the current request.
+// `actor` overrides req.user (e.g. a login before authentication has happened).
+const recordAudit = async (req, {
+  action,
+  category,
+  targetType,
+  targetId,
+  before,
+  after,
+  outcome = 'SUCCESS',
+  reason,
+  metadata,
+  actor
+}) => {
+  try {
+    const user = actor || req.user;
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+
+    await AuditEvent.create({
+      action,
+      category,
+      actor: user?._id,
+      actorName: user?.username || metadata?.identifier,
+      actorRole: user?.role,
+      apiKeyId: actor ? undefined : req.apiKey?.keyId,
+      ip: req.ip || req.socket?.remoteAddress,
+      userAgent: req.headers?.['user-agent'],
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      outcome,
+      reason,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      changes: beforeSnapshot || afterSnapshot ? diff(beforeSnapshot, afterSnapshot) : [],
+      metadata
+    });
+  } catch (error) {
+    console.error(`Audit write failed for ${action}:`, error);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  snapshot,
+  diff
+};
@@ -0,0 +1,133 @@
+// Contract term housekeeping.
+// Shipments outside contractStartDate..contractEndDate are refused by the model
+// (a date-only end date is stored as the end of that UTC day, see routes/contracts);
+// this job sends one renewal reminder per end date, CONTRACT_RENEWAL_REMINDER_DAYS
+// before a contract ends. Moving the end date re-arms the reminder.
+
+const Contract = require('../models/Contract');
+const User = require('../models/User');
+const { sendShipmentNotification } = require('./emailService');
+const { rolesWithPermission } = require('./accessService');
+
+const RENEWAL_REMINDER_DAYS = parseInt(process.env.CONTRACT_RENEWAL_REMINDER_DAYS || '30');
+const CHECK_INTERVAL = parseInt(process.env.CONTRACT_RENEWAL_CHECK_INTERVAL_MS || String(60 * 60 * 1000));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Opted-in users whose role may update every contract (managers and admins by default)
+const renewalRecipients = async () => {
+  const users = await User.find({
+    role: { $in: await rolesWithPermission('update') },
+    isActive: true,
+    'emailNotifications.renewalReminders': true
+  }).select('email').lean();
+
+  return users.map(user => user.email);
+};
+
+// Atomically claim the reminder for the contract's current end date; only one node wins
+const claimReminder = (contract) => {
+  return Contract.findOneAndUpdate(
+    {
+      _id: contract._id,
+      contractEndDate: contract.contractEndDate,
+      renewalReminderSentFor: { $ne: contract.contractEndDate }
+    },
+    { $set: { renewalReminderSentFor: contract.contractEndDate } },
+    { new: true }
+  );
+};
+
+const remind = async (io, contract, recipients) => {
+  const daysRemaining = Math.max(1, Math.ceil((contract.contractEndDate - Date.now()) / DAY_MS));
+  const message = `Contract ${contract.contractId} ends in ${daysRemaining} day(s) - renewal due`;
+
+  for (const email of recipients) {
+    try {
+      await sendShipmentNotification({
+        type: 'RENEWAL_REMINDER',
+        contractId: contract.contractId,
+        clientName: contract.clientName,
+        contractEndDate: contract.contractEndDate,
+        daysRemaining,
+        deviceCount: contract.deviceCount,
+        totalShipped: contract.batteriesShipped,
+        threshold: contract.threshold,
+        userEmail: email
+      });
+    } catch (emailError) {
+      console.error('Renewal reminder email failed:', emailError);
+    }
+  }
+
+  io.publish('contract:renewal_due', {
+    contractId: contract.contractId,
+    clientName: contract.clientName,
+    contractEndDate: contract.contractEndDate,
+    daysRemaining
+  });
+
+  const notifications = (recipients.length > 0 ? recipients : ['system']).map(email => ({
+    email,
+    message,
+    type: 'RENEWAL_REMINDER',
+    timestamp: new Date()
+  }));
+
+  await Contract.updateOne(
+    { _id: contract._id },
+    { $push: { notificationsSent: { $each: notifications } } }
+  );
+};
+
+// Remind about every contract ending within the reminder window that has not been reminded yet
+const sendRenewalReminders = async (io) => {
+  const now = new Date();
+
+  const due = await Contract.find({
+    contractEndDate: { $gte: now, $lte: new Date(now.getTime() + RENEWAL_REMINDER_DAYS * DAY_MS) },
+    $expr: { $ne: ['$renewalReminderSentFor', '$contractEndDate'] }
+  }).select('contractId clientName contractEndDate deviceCount batteriesShipped threshold').lean();
+
+  if (due.length === 0) return 0;
+
+  const recipients = await renewalRecipients();
+  let sent = 0;
+
+  for (const contract of due) {
+    if (!(await claimReminder(contract))) continue;
+
+    await remind(io, contract, recipients);
+    sent++;
+  }
+
+  return sent;
+};
+
+// Sweep once at startup, so a restart never delays reminders by a whole interval, then periodically
+const startContractLifecycleJob = (io) => {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await sendRenewalReminders(io);
+    } catch (error) {
+      console.error('Contract renewal reminders failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, CHECK_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sendRenewalReminders,
+  startContractLifecycleJob
+};
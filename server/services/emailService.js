@@ -1,10 +1,13 @@
 const nodemailer = require('nodemailer');
+const EmailOutbox = require('../models/EmailOutbox');
+
+let transporter = null;
 
 // Email configuration
 const createTransporter = () => {
-  if (process.env.NODE_ENV === 'production') {
+  if (process.env.NODE_ENV === 'production' && !process.env.SMTP_HOST) {
     // AWS SES configuration for production
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       SES: {
         aws: {
           accessKeyId: process.env.AWS_ACCESS_KEY_ID,
@@ -14,71 +17,85 @@ const createTransporter = () => {
       }
     });
   } else {
-    // Development configuration (using Gmail or other SMTP)
-    return nodemailer.createTransporter({
+    // Development configuration (using Gmail or other SMTP).
+    // Leave SMTP_USER empty for a local stand-in such as Mailpit or MailHog.
+    return nodemailer.createTransport({
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: process.env.SMTP_PORT || 587,
-      secure: false,
-      auth: {
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
         user: process.env.SMTP_USER,
         pass: process.env.SMTP_PASS
-      }
+      } : undefined
     });
   }
 };
 
-const sendShipmentNotification = async (notificationData) => {
-  try {
-    const transporter = createTransporter();
-    
-    const {
-      type,
-      contractId,
-      shipmentId,
-      batteriesShipped,
-      totalShipped,
-      threshold,
-      deviceCount,
-      userEmail,
-      userName
-    } = notificationData;
-
-    let subject, htmlBody, textBody;
-
-    switch (type) {
-      case 'SHIPMENT_BLOCKED':
-        subject = `⚠ PBR Battery Shipment Limit Reached (Contract: ${contractId})`;
-        htmlBody = `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background-color: #dc2626; color: white; padding: 20px; text-align: center;">
-              <h1 style="margin: 0;">⚠ Shipment Limit Reached</h1>
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+// Render a notification into mail options; throws on unknown types
+const renderNotification = (notificationData) => {
+  const {
+    type,
+    contractId,
+    shipmentId,
+    batteriesShipped,
+    totalShipped,
+    threshold,
+    deviceCount,
+    userEmail,
+    userName,
+    actionUrl,
+    role,
+    invitedBy,
+    expiresInHours,
+    expiresInMinutes,
+    clientName,
+    contractEndDate,
+    daysRemaining
+  } = notificationData;
+
+  let subject, htmlBody, textBody;
+
+  switch (type) {
+    case 'SHIPMENT_BLOCKED':
+      subject = `⚠ PBR Battery Shipment Limit Reached (Contract: ${contractId})`;
+      htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #dc2626; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">⚠ Shipment Limit Reached</h1>
+          </div>
+          <div style="padding: 20px; background-color: #f9fafb;">
+            <p>The battery shipment limit for PBR contract <strong>${contractId}</strong> has been reached.</p>
+            
+            <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #374151;">Contract Details:</h3>
+              <ul style="list-style: none; padding: 0;">
+                <li><strong>Contract ID:</strong> ${contractId}</li>
+                <li><strong>Devices under contract:</strong> ${deviceCount}</li>
+                <li><strong>Batteries shipped:</strong> ${totalShipped}</li>
+                <li><strong>Threshold:</strong> ${threshold}</li>
+                <li><strong>Attempted shipment:</strong> ${batteriesShipped} batteries</li>
+                <li><strong>Initiated by:</strong> ${userName}</li>
+              </ul>
             </div>
-            <div style="padding: 20px; background-color: #f9fafb;">
-              <p>The battery shipment limit for PBR contract <strong>${contractId}</strong> has been reached.</p>
-              
-              <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                <h3 style="margin-top: 0; color: #374151;">Contract Details:</h3>
-                <ul style="list-style: none; padding: 0;">
-                  <li><strong>Contract ID:</strong> ${contractId}</li>
-                  <li><strong>Devices under contract:</strong> ${deviceCount}</li>
-                  <li><strong>Batteries shipped:</strong> ${totalShipped}</li>
-                  <li><strong>Threshold:</strong> ${threshold}</li>
-                  <li><strong>Attempted shipment:</strong> ${batteriesShipped} batteries</li>
-                  <li><strong>Initiated by:</strong> ${userName}</li>
-                </ul>
-              </div>
-              
-              <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 15px; margin: 20px 0;">
-                <p style="margin: 0; color: #991b1b;">
-                  <strong>Action Required:</strong> Further shipments are BLOCKED until manual review.
-                </p>
-              </div>
-              
-              <p>Please review the contract and take appropriate action.</p>
+            
+            <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 15px; margin: 20px 0;">
+              <p style="margin: 0; color: #991b1b;">
+                <strong>Action Required:</strong> Further shipments are BLOCKED until manual review.
+              </p>
             </div>
+            
+            <p>Please review the contract and take appropriate action.</p>
           </div>
-        `;
-        textBody = `
+        </div>
+      `;
+      textBody = `
 PBR Battery Shipment Limit Reached
 
 Contract: ${contractId}
@@ -89,35 +106,35 @@ Attempted shipment: ${batteriesShipped} batteries
 Initiated by: ${userName}
 
 Further shipments are BLOCKED until manual review.
-        `;
-        break;
-
-      case 'THRESHOLD_WARNING':
-        subject = `⚠ PBR Battery Shipment Approaching Limit (Contract: ${contractId})`;
-        htmlBody = `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background-color: #f59e0b; color: white; padding: 20px; text-align: center;">
-              <h1 style="margin: 0;">⚠ Approaching Shipment Limit</h1>
-            </div>
-            <div style="padding: 20px; background-color: #f9fafb;">
-              <p>The battery shipment for PBR contract <strong>${contractId}</strong> is approaching its limit.</p>
-              
-              <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                <h3 style="margin-top: 0; color: #374151;">Contract Details:</h3>
-                <ul style="list-style: none; padding: 0;">
-                  <li><strong>Contract ID:</strong> ${contractId}</li>
-                  <li><strong>Devices under contract:</strong> ${deviceCount}</li>
-                  <li><strong>Batteries shipped:</strong> ${totalShipped}</li>
-                  <li><strong>Threshold:</strong> ${threshold}</li>
-                  <li><strong>Percentage used:</strong> ${Math.round((totalShipped / threshold) * 100)}%</li>
-                </ul>
-              </div>
-              
-              <p>Please monitor this contract closely to avoid exceeding the limit.</p>
+      `;
+      break;
+
+    case 'THRESHOLD_WARNING':
+      subject = `⚠ PBR Battery Shipment Approaching Limit (Contract: ${contractId})`;
+      htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #f59e0b; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">⚠ Approaching Shipment Limit</h1>
+          </div>
+          <div style="padding: 20px; background-color: #f9fafb;">
+            <p>The battery shipment for PBR contract <strong>${contractId}</strong> is approaching its limit.</p>
+            
+            <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #374151;">Contract Details:</h3>
+              <ul style="list-style: none; padding: 0;">
+                <li><strong>Contract ID:</strong> ${contractId}</li>
+                <li><strong>Devices under contract:</strong> ${deviceCount}</li>
+                <li><strong>Batteries shipped:</strong> ${totalShipped}</li>
+                <li><strong>Threshold:</strong> ${threshold}</li>
+                <li><strong>Percentage used:</strong> ${Math.round((totalShipped / threshold) * 100)}%</li>
+              </ul>
             </div>
+            
+            <p>Please monitor this contract closely to avoid exceeding the limit.</p>
           </div>
-        `;
-        textBody = `
+        </div>
+      `;
+      textBody = `
 PBR Battery Shipment Approaching Limit
 
 Contract: ${contractId}
@@ -127,22 +144,145 @@ Threshold: ${threshold}
 Percentage used: ${Math.round((totalShipped / threshold) * 100)}%
 
 Please monitor this contract closely.
-        `;
-        break;
+      `;
+      break;
 
-      default:
-        throw new Error(`Unknown notification type: ${type}`);
-    }
+    case 'RENEWAL_REMINDER':
+      subject = `PBR Contract ${contractId} ends in ${daysRemaining} day(s)`;
+      htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2563eb; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Contract Renewal Due</h1>
+          </div>
+          <div style="padding: 20px; background-color: #f9fafb;">
+            <p>PBR contract <strong>${contractId}</strong> ends in ${daysRemaining} day(s). After that date no further shipments are accepted.</p>
+            
+            <div style="background-color: white; padding: 15px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #374151;">Contract Details:</h3>
+              <ul style="list-style: none; padding: 0;">
+                <li><strong>Contract ID:</strong> ${contractId}</li>
+                <li><strong>Client:</strong> ${clientName || '-'}</li>
+                <li><strong>Ends:</strong> ${new Date(contractEndDate).toUTCString()}</li>
+                <li><strong>Devices under contract:</strong> ${deviceCount}</li>
+                <li><strong>Batteries shipped:</strong> ${totalShipped} of ${threshold}</li>
+              </ul>
+            </div>
+            
+            <p>Please arrange a renewal, or extend the end date, before the contract ends.</p>
+          </div>
+        </div>
+      `;
+      textBody = `
+PBR Contract Renewal Due
 
-    const mailOptions = {
-      from: process.env.FROM_EMAIL || 'noreply@pbr-system.com',
-      to: userEmail,
-      subject,
-      text: textBody,
-      html: htmlBody
-    };
+Contract: ${contractId}
+Client: ${clientName || '-'}
+Ends: ${new Date(contractEndDate).toUTCString()} (in ${daysRemaining} day(s))
+Devices under contract: ${deviceCount}
+Batteries shipped: ${totalShipped} of ${threshold}
+
+Please arrange a renewal, or extend the end date, before the contract ends.
+      `;
+      break;
+
+    case 'USER_INVITE':
+      subject = 'You have been invited to the PBR Battery Shipment system';
+      htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2563eb; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">You're Invited</h1>
+          </div>
+          <div style="padding: 20px; background-color: #f9fafb;">
+            <p>Hi ${userName}, ${invitedBy} has invited you to the PBR Battery Shipment system as <strong>${role}</strong>.</p>
+            
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${actionUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Accept invitation</a>
+            </p>
+            
+            <p>This link expires in ${expiresInHours} hours. If you weren't expecting this invitation, you can ignore this email.</p>
+          </div>
+        </div>
+      `;
+      textBody = `
+You have been invited to the PBR Battery Shipment system
 
-    const result = await transporter.sendMail(mailOptions);
+Hi ${userName}, ${invitedBy} has invited you as ${role}.
+
+Accept the invitation: ${actionUrl}
+
+This link expires in ${expiresInHours} hours.
+      `;
+      break;
+
+    case 'PASSWORD_RESET':
+      subject = 'Reset your PBR Battery Shipment password';
+      htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #2563eb; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Password Reset</h1>
+          </div>
+          <div style="padding: 20px; background-color: #f9fafb;">
+            <p>Hi ${userName}, we received a request to reset your password.</p>
+            
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${actionUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Choose a new password</a>
+            </p>
+            
+            <p>This link can be used once and expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.</p>
+          </div>
+        </div>
+      `;
+      textBody = `
+Reset your PBR Battery Shipment password
+
+Hi ${userName}, we received a request to reset your password.
+
+Choose a new password: ${actionUrl}
+
+This link can be used once and expires in ${expiresInMinutes} minutes.
+      `;
+      break;
+
+    case 'PASSWORD_CHANGED':
+      subject = 'Your PBR Battery Shipment password was changed';
+      htmlBody = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #f59e0b; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0;">Password Changed</h1>
+          </div>
+          <div style="padding: 20px; background-color: #f9fafb;">
+            <p>Hi ${userName}, the password for your account was just changed and every session was signed out.</p>
+            
+            <p>If this wasn't you, reset your password immediately and contact an administrator.</p>
+          </div>
+        </div>
+      `;
+      textBody = `
+Your PBR Battery Shipment password was changed
+
+Hi ${userName}, the password for your account was just changed and every session was signed out.
+
+If this wasn't you, reset your password immediately and contact an administrator.
+      `;
+      break;
+
+    default:
+      throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  return {
+    from: process.env.FROM_EMAIL || 'noreply@pbr-system.com',
+    to: userEmail,
+    subject,
+    text: textBody,
+    html: htmlBody
+  };
+};
+
+// Send rendered mail over the transport; used by the outbox worker
+const deliverMail = async (mailOptions) => {
+  try {
+    const result = await getTransporter().sendMail(mailOptions);
     console.log('Email sent successfully:', result.messageId);
     
     return {
@@ -156,6 +296,29 @@ Please monitor this contract closely.
   }
 };
 
+// Notifications whose body carries a single-use token
+const SECRET_BEARING_TYPES = ['PASSWORD_RESET', 'USER_INVITE'];
+
+// Queue a notification in the durable outbox; the worker delivers it with retries
+// Queue a notification in the outbox. Pass a session to enqueue it in the
+// caller's transaction, so it is only sent if that transaction commits.
+const sendShipmentNotification = async (notificationData, { session } = {}) => {
+  const mail = renderNotification(notificationData);
+
+  const [message] = await EmailOutbox.create([{
+    type: notificationData.type,
+    contractId: notificationData.contractId,
+    mail,
+    containsSecret: SECRET_BEARING_TYPES.includes(notificationData.type)
+  }], { session });
+
+  return {
+    success: true,
+    queued: true,
+    outboxId: message._id
+  };
+};
+
 const sendBulkNotifications = async (notifications) => {
   const results = [];
   
@@ -173,5 +336,7 @@ const sendBulkNotifications = async (notifications) => {
 
 module.exports = {
   sendShipmentNotification,
-  sendBulkNotifications
+  sendBulkNotifications,
+  renderNotification,
+  deliverMail
 };
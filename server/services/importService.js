@@ -0,0 +1,241 @@
+// Bulk shipment import: parsing ERP exports and dry-run planning.
+// Committing rows goes through shipmentService.processShipment one row at a time.
+
+const Contract = require('../models/Contract');
+const Reservation = require('../models/Reservation');
+const { SHIPMENT_APPROVAL_MODE } = require('./shipmentService');
+const { unknownSkus } = require('./skuService');
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '1000');
+
+// Header aliases seen in ERP exports, mapped to shipment fields
+const COLUMN_ALIASES = {
+  contractid: 'contractId',
+  contract: 'contractId',
+  batteriesshipped: 'batteriesShipped',
+  batteries: 'batteriesShipped',
+  quantity: 'batteriesShipped',
+  qty: 'batteriesShipped',
+  sku: 'sku',
+  batterysku: 'sku',
+  model: 'sku',
+  notes: 'notes'
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => COLUMN_ALIASES[h.trim().toLowerCase().replace(/[\s_-]/g, '')] || h.trim());
+
+  return nonEmpty.slice(1).map(values => Object.fromEntries(
+    headers.map((header, index) => [header, (values[index] || '').trim()])
+  ));
+};
+
+// Coerce raw rows into shipment input, attaching a row-level error where invalid.
+// A row with a SKU becomes a shipment with a single line item.
+const normalizeRows = (rawRows) => {
+  return rawRows.map((raw, index) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return {
+        row: index + 1,
+        contractId: '',
+        lineItems: [],
+        error: { code: 'VALIDATION_ERROR', message: 'Row must be an object' }
+      };
+    }
+
+    const sku = raw.sku ? String(raw.sku).trim().toUpperCase() : undefined;
+    const row = {
+      row: index + 1,
+      contractId: raw.contractId ? String(raw.contractId).trim() : '',
+      sku,
+      batteriesShipped: Number(raw.batteriesShipped),
+      notes: raw.notes ? String(raw.notes) : undefined
+    };
+    row.lineItems = sku ? [{ sku, quantity: row.batteriesShipped }] : [];
+
+    if (!row.contractId) {
+      row.error = { code: 'VALIDATION_ERROR', message: 'Contract ID is required' };
+    } else if (!Number.isInteger(row.batteriesShipped) || row.batteriesShipped < 1) {
+      row.error = { code: 'VALIDATION_ERROR', message: 'Batteries shipped must be a positive integer' };
+    }
+
+    return row;
+  });
+};
+
+// Simulate rows in order against current contract state, letting earlier rows
+// consume capacity (and lock contracts) before later ones are evaluated
+const planImport = async (rows) => {
+  const contractIds = [...new Set(rows.filter(r => !r.error).map(r => r.contractId))];
+
+  const contracts = await Contract.find({ contractId: { $in: contractIds } }).lean();
+  const holds = await Reservation.aggregate([
+    { $match: { contractId: { $in: contractIds }, status: 'ACTIVE', expiresAt: { $gt: new Date() } } },
+    { $group: { _id: '$contractId', quantity: { $sum: '$quantity' } } }
+  ]);
+  const reservedByContract = Object.fromEntries(holds.map(h => [h._id, h.quantity]));
+  const missingSkus = new Set(await unknownSkus([...new Set(rows.filter(r => r.sku).map(r => r.sku))]));
+
+  // Master agreement pools shared by the children in this import
+  const masterIds = [...new Set(contracts.filter(c => c.parentContract).map(c => c.parentContract.toString()))];
+  const masters = await Contract.find({ _id: { $in: masterIds } }).lean();
+  const pools = Object.fromEntries(masters.map(m => [m._id.toString(), {
+    contractId: m.contractId,
+    used: m.batteriesShipped + (m.batteriesReserved || 0),
+    threshold: m.threshold,
+    isLocked: m.isLocked
+  }]));
+
+  const state = Object.fromEntries(contracts.map(c => [c.contractId, {
+    batteriesShipped: c.batteriesShipped,
+    batteriesReserved: reservedByContract[c.contractId] || 0,
+    threshold: c.threshold,
+    isLocked: c.isLocked,
+    termError: Contract.hydrate(c).termError(),
+    isMaster: c.isMaster,
+    pool: c.parentContract ? pools[c.parentContract.toString()] : null,
+    // A lapsed period will have been rolled over by the time the row is committed;
+    // open holds are promised against the period either way
+    periodRemaining: !c.allowance ? Infinity
+      : (c.allowance.periodEnd > new Date()
+        ? c.allowance.limit + (c.allowance.carriedOver || 0) - c.allowance.shippedThisPeriod
+        : c.allowance.limit) - (reservedByContract[c.contractId] || 0),
+    // Room left per limited SKU
+    skuRemaining: Object.fromEntries((c.skuLimits || []).map(limit => [limit.sku, limit.threshold - limit.shipped - (limit.reserved || 0)]))
+  }]));
+
+  return rows.map(row => {
+    const base = { row: row.row, contractId: row.contractId, sku: row.sku, batteriesShipped: row.batteriesShipped };
+
+    if (row.error) {
+      return { ...base, status: 'ERROR', code: row.error.code, reason: row.error.message };
+    }
+
+    const contract = state[row.contractId];
+
+    if (!contract) {
+      return { ...base, status: 'ERROR', code: 'CONTRACT_NOT_FOUND', reason: 'Contract not found' };
+    }
+
+    if (contract.isMaster) {
+      return { ...base, status: 'ERROR', code: 'MASTER_AGREEMENT', reason: Contract.HIERARCHY_ERRORS.MASTER_AGREEMENT };
+    }
+
+    if (contract.isLocked || (contract.pool && contract.pool.isLocked)) {
+      return { ...base, status: 'ERROR', code: 'CONTRACT_LOCKED', reason: 'Contract is locked' };
+    }
+
+    if (contract.termError) {
+      return { ...base, status: 'ERROR', code: contract.termError, reason: Contract.TERM_ERRORS[contract.termError] };
+    }
+
+    const hasSkuLimits = Object.keys(contract.skuRemaining).length > 0;
+    const lineItemError = (hasSkuLimits && !row.sku && 'LINE_ITEMS_REQUIRED') ||
+      (row.sku && missingSkus.has(row.sku) && 'UNKNOWN_SKU') ||
+      (hasSkuLimits && contract.skuRemaining[row.sku] === undefined && 'SKU_NOT_ON_CONTRACT');
+
+    if (lineItemError) {
+      return { ...base, status: 'ERROR', code: lineItemError, reason: Contract.LINE_ITEM_ERRORS[lineItemError] };
+    }
+
+    const newTotal = contract.batteriesShipped + row.batteriesShipped;
+    const exceedsThreshold = newTotal + contract.batteriesReserved > contract.threshold;
+    const exceedsAllowance = row.batteriesShipped > contract.periodRemaining;
+    const exceedsSkuLimit = hasSkuLimits && row.batteriesShipped > contract.skuRemaining[row.sku];
+    const exceedsPool = !!contract.pool && contract.pool.used + row.batteriesShipped > contract.pool.threshold;
+
+    if (exceedsThreshold || exceedsAllowance || exceedsPool || exceedsSkuLimit) {
+      let reason = `Would exceed period allowance (${contract.periodRemaining} left)`;
+      if (exceedsThreshold) {
+        reason = `Would exceed threshold (${newTotal}/${contract.threshold})`;
+      } else if (exceedsPool) {
+        reason = `Would exceed master agreement ${contract.pool.contractId} pool (${contract.pool.used + row.batteriesShipped}/${contract.pool.threshold})`;
+      } else if (exceedsSkuLimit) {
+        reason = `Would exceed ${row.sku} limit (${contract.skuRemaining[row.sku]} left)`;
+      }
+
+      if (SHIPMENT_APPROVAL_MODE === 'QUEUE') {
+        return { ...base, status: 'PENDING', reason };
+      }
+
+      // An exhausted SKU blocks the row without locking the contract
+      if (exceedsThreshold || exceedsAllowance) {
+        contract.isLocked = true;
+      }
+      // A full pool locks the master and, through it, every sibling
+      if (exceedsPool) {
+        contract.pool.isLocked = true;
+      }
+      return { ...base, status: 'BLOCKED', reason };
+    }
+
+    contract.batteriesShipped = newTotal;
+    contract.periodRemaining -= row.batteriesShipped;
+    if (contract.pool) {
+      contract.pool.used += row.batteriesShipped;
+    }
+    if (hasSkuLimits) {
+      contract.skuRemaining[row.sku] -= row.batteriesShipped;
+    }
+    return { ...base, status: 'APPROVED', totalAfter: newTotal, threshold: contract.threshold };
+  });
+};
+
+// Count report rows per outcome
+const summarize = (results) => {
+  const summary = { total: results.length, APPROVED: 0, BLOCKED: 0, PENDING: 0, ERROR: 0 };
+  for (const result of results) {
+    summary[result.status] += 1;
+  }
+  return summary;
+};
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  parseCsv,
+  normalizeRows,
+  planImport,
+  summarize
+};
@@ -0,0 +1,96 @@
+// Background worker for collections drained as leased queues (email outbox,
+// webhook deliveries).
+//
+// A document waits as PENDING until nextAttemptAt, is leased as PROCESSING by
+// exactly one worker for each attempt, and is then settled by the queue's
+// deliver(). A lease that expires mid-attempt (the worker died) is taken over
+// while attempts remain; once they are used up the document is parked as DEAD.
+
+const ABANDONED_ERROR = 'Worker stopped before the attempt finished';
+
+// Delay before the next attempt: base * 2^(attempt-1) with up to 10% jitter, capped
+const backoffDelay = (attempts, baseBackoff, maxBackoff) => {
+  const delay = baseBackoff * 2 ** (attempts - 1);
+  return Math.min(delay + Math.floor(Math.random() * delay * 0.1), maxBackoff);
+};
+
+// name labels log lines; deliver(document) sends one leased document and records the outcome
+const createLeasedQueue = ({ Model, name, leaseMs, pollInterval, batchSize = 20, deliver }) => {
+  // Lease the next due document; only one worker can win each document
+  const claimNext = () => {
+    const now = new Date();
+
+    return Model.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'PENDING', nextAttemptAt: { $lte: now } },
+          { status: 'PROCESSING', lockedUntil: { $lt: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]
+      },
+      {
+        $set: { status: 'PROCESSING', lockedUntil: new Date(now.getTime() + leaseMs) },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  };
+
+  // Park documents whose last allowed attempt was abandoned with its lease
+  const deadLetterAbandoned = async () => {
+    const { modifiedCount } = await Model.updateMany(
+      { status: 'PROCESSING', lockedUntil: { $lt: new Date() }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: { status: 'DEAD', lastError: ABANDONED_ERROR },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+
+    if (modifiedCount > 0) {
+      console.error(`${name}: ${modifiedCount} item(s) moved to dead-letter after an abandoned final attempt`);
+    }
+  };
+
+  // Drain up to one batch of due documents
+  const drain = async () => {
+    let processed = 0;
+
+    await deadLetterAbandoned();
+
+    while (processed < batchSize) {
+      const document = await claimNext();
+      if (!document) break;
+
+      await deliver(document);
+      processed++;
+    }
+
+    return processed;
+  };
+
+  const start = () => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        await drain();
+      } catch (error) {
+        console.error(`${name} worker failed:`, error);
+      } finally {
+        running = false;
+      }
+    }, pollInterval);
+
+    timer.unref();
+    return timer;
+  };
+
+  return { drain, start };
+};
+
+module.exports = {
+  backoffDelay,
+  createLeasedQueue
+};
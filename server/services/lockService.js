@@ -1,33 +1,158 @@
 // Redis-based distributed locking service for preventing race conditions
+//
+// Every lock is owned by a random token: only the holder of that token can
+// release or renew it, so a request whose lock expired can never release the
+// lock a later request acquired.
+//
+// Degraded mode: when Redis is unreachable, LOCK_DEGRADED_MODE decides what happens.
+//   local  - fall back to in-process locks; safe for a single API node only,
+//            and Mongo's atomic threshold checks still guard capacity
+//   reject - throw LOCK_SERVICE_UNAVAILABLE so callers answer 503
+// A deployment with the Socket.IO Redis adapter on is treated as multi-node: it
+// defaults to reject and refuses to start with local, since nodes cannot see each
+// other's in-process locks. With SOCKET_REDIS_ADAPTER=false the default is local.
 
-const acquireLock = async (redisClient, lockKey, timeout = 10000) => {
-  try {
-    const lockValue = `${Date.now()}-${Math.random()}`;
-    const result = await redisClient.set(lockKey, lockValue, {
-      PX: timeout, // Expire after timeout milliseconds
-      NX: true     // Only set if key doesn't exist
-    });
-    
-    return result === 'OK';
-  } catch (error) {
-    console.error('Error acquiring lock:', error);
-    return false;
+const crypto = require('crypto');
+
+const MULTI_NODE = process.env.SOCKET_REDIS_ADAPTER !== 'false';
+const LOCK_DEGRADED_MODE = (process.env.LOCK_DEGRADED_MODE || (MULTI_NODE ? 'reject' : 'local')).toLowerCase();
+
+if (MULTI_NODE && LOCK_DEGRADED_MODE === 'local') {
+  throw new Error('LOCK_DEGRADED_MODE=local is only safe on a single API node; use reject, or set SOCKET_REDIS_ADAPTER=false');
+}
+const LOCK_ACQUIRE_RETRIES = parseInt(process.env.LOCK_ACQUIRE_RETRIES || '3');
+
+// Delete the key only if it still holds our token
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+else
+  return 0
+end`;
+
+// Extend the key's TTL only if it still holds our token
+const EXTEND_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+else
+  return 0
+end`;
+
+// In-process fallback locks: lockKey -> { token, expiresAt }
+const localLocks = new Map();
+let degradedWarned = false;
+
+const isRedisAvailable = (redisClient) => !!(redisClient && redisClient.isReady);
+
+// Current lock backend, for health reporting
+const getLockMode = (redisClient) => {
+  if (isRedisAvailable(redisClient)) return 'redis';
+  return LOCK_DEGRADED_MODE === 'reject' ? 'unavailable' : 'degraded-local';
+};
+
+const useFallback = (redisClient) => {
+  if (isRedisAvailable(redisClient)) return false;
+
+  if (LOCK_DEGRADED_MODE === 'reject') {
+    throw new Error('LOCK_SERVICE_UNAVAILABLE');
+  }
+
+  if (!degradedWarned) {
+    console.warn('Redis unavailable: distributed locks degraded to in-process locks');
+    degradedWarned = true;
   }
+  return true;
 };
 
-const releaseLock = async (redisClient, lockKey) => {
+const localAcquire = (lockKey, token, timeout) => {
+  const current = localLocks.get(lockKey);
+  if (current && current.expiresAt > Date.now()) return false;
+
+  localLocks.set(lockKey, { token, expiresAt: Date.now() + timeout });
+  return true;
+};
+
+const tryAcquire = async (redisClient, lockKey, token, timeout) => {
+  if (useFallback(redisClient)) {
+    return localAcquire(lockKey, token, timeout);
+  }
+
+  degradedWarned = false;
+  const result = await redisClient.set(lockKey, token, {
+    PX: timeout, // Expire after timeout milliseconds
+    NX: true     // Only set if key doesn't exist
+  });
+
+  return result === 'OK';
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Acquire a lock; resolves to the owner token, or null if it is held elsewhere.
+// With `retries`, waits retryDelay * 2^attempt (plus jitter) between attempts.
+const acquireLock = async (redisClient, lockKey, timeout = 10000, options = {}) => {
+  const { retries = LOCK_ACQUIRE_RETRIES, retryDelay = 50, maxRetryDelay = 1000 } = options;
+  const token = crypto.randomUUID();
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      if (await tryAcquire(redisClient, lockKey, token, timeout)) {
+        return token;
+      }
+    } catch (error) {
+      if (error.message === 'LOCK_SERVICE_UNAVAILABLE') throw error;
+      console.error('Error acquiring lock:', error);
+      return null;
+    }
+
+    if (attempt < retries) {
+      const delay = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+      await sleep(delay + Math.floor(Math.random() * retryDelay));
+    }
+  }
+
+  return null;
+};
+
+// Release a lock, but only if `token` still owns it
+const releaseLock = async (redisClient, lockKey, token) => {
+  if (!token) return false;
+
   try {
-    await redisClient.del(lockKey);
-    return true;
+    const local = localLocks.get(lockKey);
+    if (local && local.token === token) {
+      localLocks.delete(lockKey);
+      return true;
+    }
+
+    if (!isRedisAvailable(redisClient)) return false;
+
+    const result = await redisClient.eval(RELEASE_SCRIPT, {
+      keys: [lockKey],
+      arguments: [token]
+    });
+    return result === 1;
   } catch (error) {
     console.error('Error releasing lock:', error);
     return false;
   }
 };
 
-const extendLock = async (redisClient, lockKey, timeout = 10000) => {
+// Extend a lock by `timeout` ms, but only if `token` still owns it
+const extendLock = async (redisClient, lockKey, token, timeout = 10000) => {
   try {
-    const result = await redisClient.expire(lockKey, Math.floor(timeout / 1000));
+    const local = localLocks.get(lockKey);
+    if (local && local.token === token) {
+      local.expiresAt = Date.now() + timeout;
+      return true;
+    }
+
+    if (!isRedisAvailable(redisClient)) return false;
+
+    const result = await redisClient.eval(EXTEND_SCRIPT, {
+      keys: [lockKey],
+      arguments: [token, String(timeout)]
+    });
     return result === 1;
   } catch (error) {
     console.error('Error extending lock:', error);
@@ -35,8 +160,49 @@ const extendLock = async (redisClient, lockKey, timeout = 10000) => {
   }
 };
 
+// Keep renewing a held lock every timeout/3 until stopped.
+// Returns a handle whose `lost` flag turns true if ownership could not be renewed.
+const startWatchdog = (redisClient, lockKey, token, timeout = 10000) => {
+  const handle = { lost: false, stop: () => clearInterval(timer) };
+
+  const timer = setInterval(async () => {
+    const renewed = await extendLock(redisClient, lockKey, token, timeout);
+    if (!renewed) {
+      handle.lost = true;
+      clearInterval(timer);
+      console.error(`Lock ${lockKey} lost before the operation finished`);
+    }
+  }, Math.max(Math.floor(timeout / 3), 100));
+
+  timer.unref();
+  return handle;
+};
+
+// Run `fn` while holding a lock that is renewed for as long as `fn` runs.
+// Throws LOCK_NOT_ACQUIRED when the lock stays busy through every retry.
+const withLock = async (redisClient, lockKey, fn, options = {}) => {
+  const { timeout = 10000, ...retryOptions } = options;
+
+  const token = await acquireLock(redisClient, lockKey, timeout, retryOptions);
+  if (!token) {
+    throw new Error('LOCK_NOT_ACQUIRED');
+  }
+
+  const watchdog = startWatchdog(redisClient, lockKey, token, timeout);
+
+  try {
+    return await fn(watchdog);
+  } finally {
+    watchdog.stop();
+    await releaseLock(redisClient, lockKey, token);
+  }
+};
+
 module.exports = {
   acquireLock,
   releaseLock,
-  extendLock
+  extendLock,
+  startWatchdog,
+  withLock,
+  getLockMode
 };
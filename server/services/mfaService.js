@@ -0,0 +1,166 @@
+// TOTP two-factor authentication (RFC 6238, SHA-1, 6 digits, 30 s steps) and recovery codes.
+// Secrets are stored encrypted with AES-256-GCM under MFA_ENCRYPTION_KEY.
+
+const crypto = require('crypto');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'PBR Battery Shipment';
+const MFA_ENFORCE_PRIVILEGED = process.env.MFA_ENFORCE_PRIVILEGED === 'true';
+const MFA_RECOVERY_CODE_COUNT = parseInt(process.env.MFA_RECOVERY_CODE_COUNT || '10');
+
+// Permissions that make an account privileged for the enforcement policy
+const MFA_PRIVILEGED_PERMISSIONS = ['unlock_contracts', 'manage_users'];
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step either side to absorb clock drift
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const encryptionKey = crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production')
+  .digest();
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// New base32 secret (160 bits)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// URI for authenticator apps / QR codes
+const buildOtpAuthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${MFA_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const hotp = (key, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+// Returns the matched time step, or null. Steps at or before lastUsedStep are
+// rejected so an observed code cannot be replayed.
+const verifyTotp = (secret, code, lastUsedStep = null, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(key, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Fresh recovery codes: raw values are shown once, only hashes are stored
+const generateRecoveryCodes = (count = MFA_RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+};
+
+// Whether policy requires this (role-loaded) user to have 2FA enabled
+const isMfaRequired = (user) => {
+  return MFA_ENFORCE_PRIVILEGED && MFA_PRIVILEGED_PERMISSIONS.some(permission => user.hasPermission(permission));
+};
+
+module.exports = {
+  MFA_PRIVILEGED_PERMISSIONS,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  buildOtpAuthUri,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isMfaRequired
+};
@@ -0,0 +1,82 @@
+// Background delivery of queued email notifications.
+// Failed sends are retried with exponential backoff; after maxAttempts a message
+// is parked as DEAD until an admin retries it.
+
+const EmailOutbox = require('../models/EmailOutbox');
+const { deliverMail } = require('./emailService');
+const { backoffDelay, createLeasedQueue } = require('./leasedQueueService');
+
+const POLL_INTERVAL = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '5000');
+const BASE_BACKOFF = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS || '30000');
+const MAX_BACKOFF = parseInt(process.env.OUTBOX_BACKOFF_MAX_MS || String(60 * 60 * 1000));
+const LEASE_MS = 60000;
+const BATCH_SIZE = 20;
+
+// Send one leased message and record the outcome
+const deliver = async (message) => {
+  try {
+    const result = await deliverMail(message.mail);
+
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: { status: 'SENT', sentAt: new Date(), messageId: result.messageId },
+        // A delivered reset or invite link is not kept where admins could read it
+        $unset: { lockedUntil: 1, lastError: 1, ...(message.containsSecret ? { 'mail.text': 1, 'mail.html': 1 } : {}) }
+      }
+    );
+    return true;
+  } catch (error) {
+    const dead = message.attempts >= message.maxAttempts;
+
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: dead ? 'DEAD' : 'PENDING',
+          nextAttemptAt: new Date(Date.now() + backoffDelay(message.attempts, BASE_BACKOFF, MAX_BACKOFF)),
+          lastError: error.message
+        },
+        $unset: { lockedUntil: 1 },
+        $push: { attemptLog: { attempt: message.attempts, message: error.message } }
+      }
+    );
+
+    if (dead) {
+      console.error(`Outbox message ${message._id} moved to dead-letter after ${message.attempts} attempts`);
+    }
+    return false;
+  }
+};
+
+const queue = createLeasedQueue({
+  Model: EmailOutbox,
+  name: 'Outbox',
+  leaseMs: LEASE_MS,
+  pollInterval: POLL_INTERVAL,
+  batchSize: BATCH_SIZE,
+  deliver
+});
+
+// Drain up to one batch of due messages
+const processOutbox = queue.drain;
+
+// Put a DEAD (or stuck) message back in the queue for an immediate attempt
+const retryMessage = (id) => {
+  return EmailOutbox.findOneAndUpdate(
+    { _id: id, status: { $in: ['DEAD', 'PENDING'] } },
+    {
+      $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { lastError: 1, lockedUntil: 1 }
+    },
+    { new: true }
+  );
+};
+
+const startOutboxWorker = queue.start;
+
+module.exports = {
+  processOutbox,
+  retryMessage,
+  startOutboxWorker
+};
@@ -0,0 +1,59 @@
+// Password policy: minimum length, required character classes and reuse of recent passwords.
+// Configured through PASSWORD_* environment variables; see .env.example.
+
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+  maxLength: 128,
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER === 'true',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  // Number of previous passwords that may not be reused (0 = only the current one)
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5')
+};
+
+const CHARACTER_CLASSES = [
+  { option: 'requireUppercase', pattern: /[A-Z]/, message: 'an uppercase letter' },
+  { option: 'requireLowercase', pattern: /[a-z]/, message: 'a lowercase letter' },
+  { option: 'requireNumber', pattern: /[0-9]/, message: 'a number' },
+  { option: 'requireSymbol', pattern: /[^A-Za-z0-9]/, message: 'a symbol' }
+];
+
+// Return the list of rules the password breaks; empty when it complies
+const checkPasswordPolicy = (password, policy = PASSWORD_POLICY) => {
+  const failures = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    failures.push(`at least ${policy.minLength} characters`);
+  } else if (password.length > policy.maxLength) {
+    failures.push(`at most ${policy.maxLength} characters`);
+  }
+
+  for (const characterClass of CHARACTER_CLASSES) {
+    if (policy[characterClass.option] && !characterClass.pattern.test(password || '')) {
+      failures.push(characterClass.message);
+    }
+  }
+
+  return failures;
+};
+
+// express-validator custom validator enforcing the policy
+const passwordPolicyValidator = (password) => {
+  const failures = checkPasswordPolicy(password);
+
+  if (failures.length > 0) {
+    throw new Error(`Password must contain ${failures.join(', ')}`);
+  }
+  return true;
+};
+
+// Policy summary for clients rendering password hints
+const describePasswordPolicy = () => ({ ...PASSWORD_POLICY });
+
+module.exports = {
+  PASSWORD_POLICY,
+  checkPasswordPolicy,
+  passwordPolicyValidator,
+  describePasswordPolicy
+};
@@ -0,0 +1,91 @@
+// Expiry of capacity reservations.
+// Reservations hold capacity through Contract.batteriesReserved, so an expired
+// hold must be closed here (not by the Mongo TTL index, which only purges
+// closed records later) to hand the capacity back.
+
+const Contract = require('../models/Contract');
+const Reservation = require('../models/Reservation');
+const { withLock } = require('./lockService');
+
+const SWEEP_INTERVAL = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || '15000');
+
+// Close one reservation and return its capacity; returns null if it was already closed
+const closeReservation = async (reservation, status, session = null) => {
+  const options = session ? { session } : {};
+
+  const closed = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'ACTIVE' },
+    { $set: { status, closedAt: new Date() } },
+    { new: true, ...options }
+  );
+
+  if (!closed) return null;
+
+  await Contract.releaseReservedBatteries(closed.contract, closed.quantity, session, closed.lineItems);
+  return closed;
+};
+
+// Expire every lapsed hold, optionally only for one contract
+const expireReservations = async (contractId = null, session = null) => {
+  const filter = { status: 'ACTIVE', expiresAt: { $lte: new Date() } };
+
+  if (contractId) {
+    filter.contractId = contractId;
+  }
+
+  const query = Reservation.find(filter);
+  if (session) query.session(session);
+  const lapsed = await query;
+
+  const expired = [];
+  for (const reservation of lapsed) {
+    const closed = await closeReservation(reservation, 'EXPIRED', session);
+    if (closed) expired.push(closed);
+  }
+
+  return expired;
+};
+
+// Periodically expire holds so capacity comes back even with no shipment traffic.
+// Each contract is swept under its shipment lock, like shipments and commits; a
+// contract whose lock is busy is skipped, since the shipment holding it expires
+// that contract's lapsed holds itself.
+const startReservationSweeper = (io, redisClient) => {
+  const timer = setInterval(async () => {
+    try {
+      const contractIds = await Reservation.distinct('contractId', {
+        status: 'ACTIVE',
+        expiresAt: { $lte: new Date() }
+      });
+
+      for (const contractId of contractIds) {
+        let expired;
+        try {
+          expired = await withLock(redisClient, `shipment:${contractId}`, () => expireReservations(contractId), { retries: 0 });
+        } catch (error) {
+          if (error.message === 'LOCK_NOT_ACQUIRED') continue;
+          throw error;
+        }
+
+        for (const reservation of expired) {
+          io.publish('reservation:expired', {
+            reservationId: reservation.reservationId,
+            contractId: reservation.contractId,
+            quantity: reservation.quantity
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Reservation sweep failed:', error);
+    }
+  }, SWEEP_INTERVAL);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  closeReservation,
+  expireReservations,
+  startReservationSweeper
+};
@@ -0,0 +1,307 @@
+// Atomic shipment processing shared by the REST routes and bulk import.
+// Errors are thrown with the API error code as their message.
+
+const mongoose = require('mongoose');
+const Contract = require('../models/Contract');
+const Shipment = require('../models/Shipment');
+const { sendShipmentNotification } = require('./emailService');
+const { withLock } = require('./lockService');
+const { expireReservations } = require('./reservationService');
+const { evaluateThresholdAlerts } = require('./alertService');
+const { lineItemsError, skuBreakdown } = require('./skuService');
+
+// What happens to a shipment that would exceed its contract threshold:
+// AUTO_BLOCK records it as BLOCKED and locks the contract, QUEUE holds it as
+// PENDING for a manager/admin to approve or reject while the contract stays open
+const SHIPMENT_APPROVAL_MODE = (process.env.SHIPMENT_APPROVAL_MODE || 'AUTO_BLOCK').toUpperCase();
+
+// Threshold check and writes for one shipment; caller holds the contract lock.
+// lineItems are normalized { sku, quantity } lines adding up to batteriesShipped.
+const runShipment = async (lock, { contractId, batteriesShipped, lineItems = [], notes, externalReference, user, apiKeyId }) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.startTransaction();
+
+    // Find contract
+    let contract = await Contract.findOne({ contractId }).session(session);
+
+    if (!contract) {
+      throw new Error('CONTRACT_NOT_FOUND');
+    }
+
+    if (contract.isMaster) {
+      throw new Error('MASTER_AGREEMENT');
+    }
+
+    // The pool lock was taken for the master the contract had when processing started
+    if ((contract.parentContractId || null) !== (lock.poolContractId || null)) {
+      throw new Error('CONCURRENT_SHIPMENT');
+    }
+
+    // Start the current allowance period first; that may lift a period-limit lock
+    ({ contract } = await Contract.rollAllowancePeriod(contract, session));
+
+    if (contract.isLocked) {
+      throw new Error('CONTRACT_LOCKED');
+    }
+
+    // Outside the contract term nothing is recorded, not even a blocked shipment
+    const termError = contract.termError();
+    if (termError) {
+      throw new Error(termError);
+    }
+
+    const lineItemError = await lineItemsError(contract, lineItems, session);
+    if (lineItemError) {
+      throw new Error(lineItemError);
+    }
+
+    // Lapsed holds give their capacity back before it is counted
+    const expired = await expireReservations(contractId, session);
+    const batteriesReserved = Math.max(
+      0,
+      (contract.batteriesReserved || 0) - expired.reduce((sum, r) => sum + r.quantity, 0)
+    );
+
+    // A child also draws on its master agreement's pool, shared with its siblings
+    const master = contract.parentContract
+      ? await Contract.findById(contract.parentContract).session(session)
+      : null;
+
+    if (master && master.isLocked) {
+      throw new Error('CONTRACT_LOCKED');
+    }
+
+    // Check if shipment would exceed threshold, counting batteries promised to open reservations
+    const newTotal = contract.batteriesShipped + batteriesShipped;
+    const exceedsThreshold = newTotal + batteriesReserved > contract.threshold;
+    const exceedsAllowance = contract.exceedsAllowance(batteriesShipped, batteriesReserved);
+    const skuOverages = contract.skuOverages(lineItems);
+    const poolTotal = master ? master.batteriesShipped + (master.batteriesReserved || 0) + batteriesShipped : 0;
+    const exceedsPool = !!master && poolTotal > master.threshold;
+    const wouldExceed = exceedsThreshold || exceedsAllowance || exceedsPool || skuOverages.length > 0;
+
+    const limitReason = () => {
+      if (exceedsThreshold) {
+        return `threshold (${newTotal}/${contract.threshold}, ${batteriesReserved} reserved)`;
+      }
+      if (exceedsPool) {
+        return `master agreement ${master.contractId} pool (${poolTotal}/${master.threshold}, reservations included)`;
+      }
+      if (skuOverages.length > 0) {
+        const lines = skuOverages.map(({ sku, requested, shipped, reserved, threshold }) => `${sku} ${shipped + reserved + requested}/${threshold}`);
+        return `SKU limit (${lines.join(', ')})`;
+      }
+      const { period, shippedThisPeriod, limit, carriedOver } = contract.allowance;
+      return `${period.toLowerCase()} allowance (${shippedThisPeriod + batteriesShipped}/${limit + carriedOver}, ${batteriesReserved} reserved)`;
+    };
+
+    let status = 'APPROVED';
+    let blockReason = null;
+    let masterLock = null;
+
+    if (wouldExceed && SHIPMENT_APPROVAL_MODE === 'QUEUE') {
+      status = 'PENDING';
+      blockReason = `Awaiting approval: shipment would exceed ${limitReason()}`;
+    } else if (wouldExceed) {
+      status = 'BLOCKED';
+      blockReason = `Shipment would exceed ${limitReason()}`;
+
+      // Lock the contract; a period-limit lock lifts when the next period starts.
+      // An exhausted SKU leaves the contract open for its other SKUs.
+      if (exceedsThreshold || exceedsAllowance) {
+        contract.isLocked = true;
+        contract.lockReason = exceedsThreshold ? 'THRESHOLD_EXCEEDED' : 'PERIOD_LIMIT_EXCEEDED';
+        await contract.save({ session });
+      }
+
+      // A full pool locks the master, which cascades to all of its children
+      if (exceedsPool) {
+        master.isLocked = true;
+        master.lockReason = 'THRESHOLD_EXCEEDED';
+        await master.save({ session });
+
+        const cascaded = await Contract.cascadeMasterLock(master._id, true, session);
+        masterLock = { contractId: master.contractId, children: cascaded };
+
+        if (cascaded.includes(contractId)) {
+          contract = await Contract.findById(contract._id).session(session);
+        }
+      }
+    } else {
+      // Update contract atomically; every line item must fit or nothing ships
+      const updatedContract = await contract.shipBatteries(batteriesShipped, session, 0, lineItems);
+
+      if (!updatedContract) {
+        throw new Error('ATOMIC_UPDATE_FAILED');
+      }
+
+      contract = updatedContract;
+    }
+
+    // Create shipment record
+    const shipment = new Shipment({
+      contractId,
+      contract: contract._id,
+      batteriesShipped,
+      lineItems,
+      status,
+      initiatedBy: user.username,
+      userId: user._id,
+      apiKeyId,
+      notes,
+      externalReference,
+      blockReason
+    });
+
+    await shipment.save({ session });
+
+    // Queue the blocked-shipment email in the same transaction as the shipment
+    if (status === 'BLOCKED') {
+      await sendShipmentNotification({
+        type: 'SHIPMENT_BLOCKED',
+        contractId,
+        shipmentId: shipment.shipmentId,
+        batteriesShipped,
+        totalShipped: newTotal,
+        threshold: contract.threshold,
+        deviceCount: contract.deviceCount,
+        userEmail: user.email,
+        userName: user.username
+      }, { session });
+    }
+
+    // Never commit once another request may have taken over the contract
+    if (lock.lost) {
+      throw new Error('LOCK_LOST');
+    }
+
+    await session.commitTransaction();
+
+    return { shipment, contract, status, newTotal, skuOverages, masterLock };
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Validate and record one shipment under the contract's Redis lock and a Mongo transaction.
+// A child of a master agreement also holds the pool lock, so siblings drawing on the
+// same pool are checked one at a time. Locks are renewed by a watchdog for as long as
+// the transaction runs. apiKeyId is recorded when a service account ships through an API key.
+const processShipment = async ({ redisClient, contractId, batteriesShipped, lineItems, notes, externalReference, user, apiKeyId }) => {
+  // Acquire Redis lock to prevent race conditions
+  const lockKey = `shipment:${contractId}`;
+  const input = { contractId, batteriesShipped, lineItems, notes, externalReference, user, apiKeyId };
+
+  try {
+    return await withLock(redisClient, lockKey, async (lock) => {
+      const current = await Contract.findOne({ contractId }).select('parentContractId').lean();
+      const poolContractId = current ? current.parentContractId : null;
+
+      if (!poolContractId) {
+        return runShipment(lock, input);
+      }
+
+      return withLock(redisClient, `pool:${poolContractId}`, (poolLock) => runShipment({
+        poolContractId,
+        get lost() {
+          return lock.lost || poolLock.lost;
+        }
+      }, input));
+    });
+  } catch (error) {
+    if (error.message === 'LOCK_NOT_ACQUIRED') {
+      throw new Error('CONCURRENT_SHIPMENT');
+    }
+    throw error;
+  }
+};
+
+// Notifications and real-time events for a processed shipment
+const publishShipment = async (io, { shipment, contract, status, newTotal, skuOverages = [], masterLock = null }, user) => {
+  const { contractId, batteriesShipped, lineItems } = shipment;
+
+  // The blocked-shipment email was queued with the shipment; record it on the contract
+  if (status === 'BLOCKED') {
+    await contract.addNotification(
+      user.email,
+      `⚠ PBR Battery Shipment Limit Reached (Contract: ${contractId})`,
+      'THRESHOLD_EXCEEDED'
+    );
+  }
+
+  // Emit real-time update
+  io.publish('shipment:created', {
+    shipment,
+    contract: {
+      contractId: contract.contractId,
+      batteriesShipped: contract.batteriesShipped,
+      threshold: contract.threshold,
+      isLocked: contract.isLocked,
+      skus: skuBreakdown(contract)
+    }
+  });
+
+  if (status === 'BLOCKED') {
+    io.publish('contract:threshold_exceeded', {
+      contractId,
+      batteriesShipped: newTotal,
+      threshold: contract.threshold,
+      lockReason: contract.lockReason,
+      skuOverages
+    });
+  }
+
+  if (masterLock) {
+    const reason = `Master agreement pool exceeded by shipment ${shipment.shipmentId}`;
+
+    io.publish('contract:lock_changed', {
+      contractId: masterLock.contractId,
+      isLocked: true,
+      changedBy: user.username,
+      reason,
+      cascadedTo: masterLock.children
+    });
+
+    for (const childId of masterLock.children) {
+      io.publish('contract:lock_changed', {
+        contractId: childId,
+        isLocked: true,
+        changedBy: user.username,
+        reason: `Master agreement ${masterLock.contractId} locked`
+      });
+    }
+  }
+
+  if (status === 'PENDING') {
+    io.publish('shipment:pending', {
+      shipmentId: shipment.shipmentId,
+      contractId,
+      batteriesShipped,
+      lineItems,
+      initiatedBy: user.username
+    });
+  }
+
+  // Tiered threshold warnings once the shipment has committed; a master's tiers track its pool
+  if (status === 'APPROVED') {
+    await evaluateThresholdAlerts(io, contract._id);
+
+    if (contract.parentContract) {
+      await evaluateThresholdAlerts(io, contract.parentContract);
+    }
+  }
+};
+
+module.exports = {
+  SHIPMENT_APPROVAL_MODE,
+  processShipment,
+  publishShipment
+};
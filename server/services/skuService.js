@@ -0,0 +1,105 @@
+// Battery SKUs and shipment line items.
+// A shipment is a list of { sku, quantity } lines; its batteriesShipped is their
+// total. Contracts with SKU limits only accept line items for those SKUs, and
+// Contract.shipBatteries checks every line in the same atomic update.
+
+const BatterySku = require('../models/BatterySku');
+const Shipment = require('../models/Shipment');
+const Reservation = require('../models/Reservation');
+
+// Upper-case SKU codes and merge repeated SKUs into one line
+const normalizeLineItems = (lineItems = []) => {
+  const merged = new Map();
+
+  for (const item of lineItems) {
+    const sku = String(item.sku).trim().toUpperCase();
+    merged.set(sku, (merged.get(sku) || 0) + Number(item.quantity));
+  }
+
+  return [...merged].map(([sku, quantity]) => ({ sku, quantity }));
+};
+
+const lineItemsTotal = (lineItems) => lineItems.reduce((sum, item) => sum + item.quantity, 0);
+
+// Whether raw line items have the { sku, quantity } shape with positive integer quantities
+const isValidLineItems = (lineItems) => Array.isArray(lineItems) && lineItems.length > 0 && lineItems.every(item =>
+  item && typeof item.sku === 'string' && item.sku.trim() !== '' &&
+  Number.isInteger(Number(item.quantity)) && Number(item.quantity) > 0
+);
+
+// SKU codes from `skus` that are missing from the catalog or inactive
+const unknownSkus = async (skus, session = null) => {
+  const active = await BatterySku.find({ sku: { $in: skus }, isActive: true })
+    .select('sku')
+    .session(session)
+    .lean();
+  const known = new Set(active.map(entry => entry.sku));
+
+  return skus.filter(sku => !known.has(sku));
+};
+
+// Error code (see Contract.LINE_ITEM_ERRORS) for line items the contract cannot accept, otherwise null
+const lineItemsError = async (contract, lineItems, session = null) => {
+  const limits = contract.skuLimits || [];
+
+  if (lineItems.length === 0) {
+    return limits.length > 0 ? 'LINE_ITEMS_REQUIRED' : null;
+  }
+
+  if ((await unknownSkus(lineItems.map(item => item.sku), session)).length > 0) {
+    return 'UNKNOWN_SKU';
+  }
+
+  if (limits.length > 0 && lineItems.some(item => !limits.some(limit => limit.sku === item.sku))) {
+    return 'SKU_NOT_ON_CONTRACT';
+  }
+
+  return null;
+};
+
+// Approved batteries per SKU on a contract, net of returns: { [sku]: quantity }
+const shippedBySku = async (contractId) => {
+  const totals = await Shipment.aggregate([
+    { $match: { contractId, status: 'APPROVED' } },
+    { $unwind: '$lineItems' },
+    {
+      $group: {
+        _id: '$lineItems.sku',
+        total: { $sum: { $subtract: ['$lineItems.quantity', { $ifNull: ['$lineItems.returned', 0] }] } }
+      }
+    }
+  ]);
+
+  return Object.fromEntries(totals.map(entry => [entry._id, entry.total]));
+};
+
+// Batteries per SKU held by a contract's active reservations: { [sku]: quantity }
+const reservedBySku = async (contractId) => {
+  const totals = await Reservation.aggregate([
+    { $match: { contractId, status: 'ACTIVE' } },
+    { $unwind: '$lineItems' },
+    { $group: { _id: '$lineItems.sku', total: { $sum: '$lineItems.quantity' } } }
+  ]);
+
+  return Object.fromEntries(totals.map(entry => [entry._id, entry.total]));
+};
+
+// Per-SKU usage for event payloads and responses
+const skuBreakdown = (contract) => (contract.skuLimits || []).map(({ sku, threshold, shipped, reserved = 0 }) => ({
+  sku,
+  threshold,
+  shipped,
+  reserved,
+  remaining: Math.max(0, threshold - shipped - reserved)
+}));
+
+module.exports = {
+  normalizeLineItems,
+  lineItemsTotal,
+  isValidLineItems,
+  unknownSkus,
+  lineItemsError,
+  shippedBySku,
+  reservedBySku,
+  skuBreakdown
+};
@@ -0,0 +1,134 @@
+// Threshold policies: named rules that derive a contract's threshold from its
+// device count (ratio per device, per-priority or per-client ratios, per-device
+// caps). Contracts that reference a policy are recomputed whenever their device
+// count, priority or client changes, and whenever the policy itself changes.
+
+const Contract = require('../models/Contract');
+const ContractVersion = require('../models/ContractVersion');
+const ThresholdPolicy = require('../models/ThresholdPolicy');
+const { evaluateThresholdAlerts } = require('./alertService');
+
+const MAX_APPLY_ATTEMPTS = 3;
+
+// Insert the built-in default policy if it is missing
+const seedDefaultPolicy = async () => {
+  await ThresholdPolicy.updateOne(
+    { name: ThresholdPolicy.DEFAULT_POLICY.name },
+    { $setOnInsert: { ...ThresholdPolicy.DEFAULT_POLICY, isSystem: true } },
+    { upsert: true }
+  );
+};
+
+// Policy used for contracts created without a threshold
+const getDefaultPolicy = async () => {
+  await seedDefaultPolicy();
+  return ThresholdPolicy.findOne({ name: ThresholdPolicy.DEFAULT_POLICY.name });
+};
+
+const findPolicyByName = (name) => ThresholdPolicy.findOne({ name: String(name).trim().toLowerCase() });
+
+// Effect of `policy` (saved or a draft) on each contract, without changing anything
+const previewPolicy = (policy, contracts) => {
+  const rows = contracts.map(contract => {
+    const newThreshold = policy.computeThreshold(contract);
+    const committed = contract.batteriesShipped + (contract.batteriesReserved || 0);
+
+    return {
+      contractId: contract.contractId,
+      clientName: contract.clientName,
+      priority: contract.priority,
+      deviceCount: contract.deviceCount,
+      ratio: policy.ratioFor(contract),
+      currentThreshold: contract.threshold,
+      newThreshold,
+      delta: newThreshold - contract.threshold,
+      batteriesShipped: contract.batteriesShipped,
+      batteriesReserved: contract.batteriesReserved || 0,
+      usagePercentage: Math.round((contract.batteriesShipped / newThreshold) * 10000) / 100,
+      // Already over the new threshold: further shipments would be blocked
+      wouldExceed: committed > newThreshold
+    };
+  });
+
+  return {
+    summary: {
+      contracts: rows.length,
+      changed: rows.filter(row => row.delta !== 0).length,
+      raised: rows.filter(row => row.delta > 0).length,
+      lowered: rows.filter(row => row.delta < 0).length,
+      wouldExceed: rows.filter(row => row.wouldExceed).length
+    },
+    contracts: rows
+  };
+};
+
+// Recompute one contract as a new version; retries when a concurrent edit wins the version race
+const applyToContract = async (io, policy, contractObjectId, user, reason) => {
+  for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS; attempt++) {
+    const contract = await Contract.findOne({ _id: contractObjectId, thresholdPolicy: policy._id });
+    if (!contract) return 'detached';
+
+    const threshold = policy.computeThreshold(contract);
+    if (threshold === contract.threshold) return 'unchanged';
+
+    const updated = await Contract.findOneAndUpdate(
+      { _id: contract._id, version: contract.version, thresholdPolicy: policy._id },
+      {
+        $set: { threshold, lastModifiedBy: user._id, lastUpdated: new Date() },
+        $inc: { version: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) continue;
+
+    const changes = [{ field: 'threshold', oldValue: contract.threshold, newValue: threshold }];
+
+    await ContractVersion.create({
+      contract: updated._id,
+      contractId: updated.contractId,
+      version: updated.version,
+      changes,
+      reason,
+      changedBy: user._id
+    });
+
+    io.publish('contract:updated', {
+      contractId: updated.contractId,
+      version: updated.version,
+      changes,
+      changedBy: user.username,
+      reason
+    });
+
+    await evaluateThresholdAlerts(io, updated._id);
+    return 'updated';
+  }
+
+  return 'failed';
+};
+
+// Recompute every contract that references the policy
+const applyPolicy = async (io, policy, user) => {
+  const reason = `Threshold policy '${policy.name}' updated`;
+  const contracts = await Contract.find({ thresholdPolicy: policy._id }).select('_id contractId').lean();
+  const result = { updated: [], unchanged: 0, failed: [] };
+
+  for (const contract of contracts) {
+    const outcome = await applyToContract(io, policy, contract._id, user, reason);
+
+    if (outcome === 'updated') result.updated.push(contract.contractId);
+    if (outcome === 'unchanged') result.unchanged++;
+    if (outcome === 'failed') result.failed.push(contract.contractId);
+  }
+
+  return result;
+};
+
+module.exports = {
+  seedDefaultPolicy,
+  getDefaultPolicy,
+  findPolicyByName,
+  previewPolicy,
+  applyPolicy
+};
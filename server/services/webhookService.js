@@ -0,0 +1,373 @@
+// Outbound webhooks for shipment and contract events.
+//
+// Every event published to Socket.IO clients is also queued as one
+// WebhookDelivery per matching subscription. A background worker POSTs each
+// delivery with an HMAC signature, retries failures with exponential backoff,
+// and parks a delivery as DEAD after maxAttempts until it is redelivered.
+//
+// Receivers verify a delivery by computing
+//   HMAC-SHA256(secret, `${X-PBR-Timestamp}.${raw body}`)
+// and comparing it with the hex digest in X-PBR-Signature ("sha256=<hex>").
+//
+// Endpoints on loopback, private, link-local or otherwise reserved addresses are
+// refused when registered and again before every send, unless
+// WEBHOOK_ALLOW_PRIVATE_TARGETS=true (local development).
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { backoffDelay, createLeasedQueue } = require('./leasedQueueService');
+
+const POLL_INTERVAL = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000');
+const BASE_BACKOFF = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '30000');
+const MAX_BACKOFF = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || String(60 * 60 * 1000));
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+const LEASE_MS = REQUEST_TIMEOUT + 30000;
+const BATCH_SIZE = 20;
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// Addresses a webhook may never reach: this host, internal networks and cloud
+// metadata (link-local), carrier-grade NAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const BLOCKED_TARGETS = new net.BlockList();
+for (const [address, prefix, type] of [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+]) {
+  BLOCKED_TARGETS.addSubnet(address, prefix, type);
+}
+
+// Copy only the listed fields; works for plain objects and mongoose documents alike
+const pick = (source, fields) => {
+  if (!source) return null;
+
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined && source[field] !== null) {
+      picked[field] = source[field];
+    }
+  }
+  return picked;
+};
+
+const lineItemsPayload = (lineItems) => (lineItems || []).map(item => pick(item, ['sku', 'quantity', 'returned']));
+
+const skusPayload = (skus) => (skus || []).map(entry => pick(entry, ['sku', 'threshold', 'shipped', 'reserved', 'remaining', 'requested']));
+
+const shipmentPayload = (shipment) => shipment && {
+  ...pick(shipment, [
+    'shipmentId', 'contractId', 'batteriesShipped', 'batteriesReturned', 'status', 'timestamp',
+    'initiatedBy', 'blockReason', 'notes', 'externalReference', 'reservationId', 'reviewedAt', 'reviewNotes'
+  ]),
+  lineItems: lineItemsPayload(shipment.lineItems)
+};
+
+// The contract usage summary that accompanies shipment, reservation and return events
+const contractSummaryPayload = (contract) => contract && {
+  ...pick(contract, ['contractId', 'batteriesShipped', 'batteriesReserved', 'batteriesReturned', 'threshold', 'isLocked']),
+  ...(contract.skus ? { skus: skusPayload(contract.skus) } : {})
+};
+
+const contractPayload = (contract) => contract && {
+  ...pick(contract, [
+    'contractId', 'clientName', 'priority', 'deviceCount', 'threshold', 'batteriesShipped', 'batteriesReserved',
+    'batteriesReturned', 'isLocked', 'lockReason', 'status', 'contractStartDate', 'contractEndDate',
+    'isMaster', 'parentContractId', 'version', 'createdAt'
+  ]),
+  allowance: pick(contract.allowance, ['period', 'limit', 'periodStart', 'periodEnd', 'shippedThisPeriod', 'carriedOver']),
+  skuLimits: skusPayload(contract.skuLimits)
+};
+
+const reservationPayload = (reservation) => pick(reservation, [
+  'reservationId', 'contractId', 'quantity', 'status', 'expiresAt', 'reservedBy', 'shipmentId', 'notes', 'createdAt'
+]);
+
+const returnPayload = (batteryReturn) => pick(batteryReturn, [
+  'returnId', 'shipmentId', 'contractId', 'quantity', 'sku', 'reason', 'initiatedBy', 'contractUnlocked', 'notes', 'timestamp'
+]);
+
+const changesPayload = (changes) => (changes || []).map(change => pick(change, ['field', 'oldValue', 'newValue']));
+
+const lockChangedPayload = (data) => pick(data, ['contractId', 'isLocked', 'changedBy', 'reason', 'cascadedTo']);
+
+// What receivers get for each event that subscriptions may register for.
+// Payloads are built field by field so internal fields (access lists,
+// notification recipients, user ids) never leave the system.
+const WEBHOOK_PAYLOADS = {
+  'shipment:created': (data) => ({
+    shipment: shipmentPayload(data.shipment),
+    contract: contractSummaryPayload(data.contract)
+  }),
+  'shipment:pending': (data) => ({
+    ...pick(data, ['shipmentId', 'contractId', 'batteriesShipped', 'initiatedBy']),
+    lineItems: lineItemsPayload(data.lineItems)
+  }),
+  'shipment:status_changed': (data) => ({
+    shipment: shipmentPayload(data.shipment),
+    ...pick(data, ['previousStatus', 'reviewedBy']),
+    contract: contractSummaryPayload(data.contract)
+  }),
+  'contract:created': (data) => ({ contract: contractPayload(data.contract) }),
+  'contract:updated': (data) => ({
+    ...pick(data, ['contractId', 'version', 'changedBy', 'reason']),
+    changes: changesPayload(data.changes),
+    ...(data.skus ? { skus: skusPayload(data.skus) } : {})
+  }),
+  'contract:lock_changed': lockChangedPayload,
+  'contract:threshold_warning': (data) => pick(data, ['contractId', 'tier', 'percentage', 'batteriesShipped', 'threshold', 'rule']),
+  'contract:threshold_exceeded': (data) => ({
+    ...pick(data, ['contractId', 'batteriesShipped', 'threshold', 'lockReason']),
+    skuOverages: skusPayload(data.skuOverages)
+  }),
+  'contract:renewal_due': (data) => pick(data, ['contractId', 'clientName', 'contractEndDate', 'daysRemaining']),
+  'contract:period_started': (data) => pick(data, ['contractId', 'period', 'periodStart', 'periodEnd', 'limit', 'carriedOver']),
+  'reservation:created': (data) => ({
+    reservation: reservationPayload(data.reservation),
+    contract: contractSummaryPayload(data.contract)
+  }),
+  'reservation:committed': (data) => pick(data, ['reservationId', 'contractId', 'shipmentId']),
+  'reservation:released': (data) => pick(data, ['reservationId', 'contractId', 'quantity', 'releasedBy']),
+  'reservation:expired': (data) => pick(data, ['reservationId', 'contractId', 'quantity']),
+  'return:created': (data) => ({
+    return: returnPayload(data.return),
+    contract: contractSummaryPayload(data.contract)
+  })
+};
+
+// Events that subscriptions may register for
+const WEBHOOK_EVENTS = Object.keys(WEBHOOK_PAYLOADS);
+
+// Sent only by the test endpoint; not subscribable
+const TEST_EVENT = 'webhook:test';
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Why `url` may not be called, or null when it may. Host names are resolved and
+// every address is checked, so a public name pointing inside the network is refused too.
+const webhookTargetError = async (url) => {
+  if (ALLOW_PRIVATE_TARGETS) return null;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return 'URL is not valid';
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+      return `Host ${hostname} could not be resolved`;
+    }
+  }
+
+  const blocked = addresses.find(({ address, family }) => BLOCKED_TARGETS.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  return blocked ? `Host ${hostname} resolves to a private or reserved address (${blocked.address})` : null;
+};
+
+// Events name their contract either at the top level or inside a contract summary
+const eventContractId = (data) => data.contractId || (data.contract && data.contract.contractId) || null;
+
+const buildDelivery = (subscription, eventId, event, data, contractId) => ({
+  subscription: subscription._id,
+  eventId,
+  event,
+  contractId,
+  body: JSON.stringify({ id: eventId, event, createdAt: new Date(), data })
+});
+
+// Queue a delivery of `event` for every active subscription that wants it
+const enqueueWebhookEvent = async (event, data) => {
+  if (!WEBHOOK_EVENTS.includes(event)) return [];
+
+  const contractId = eventContractId(data);
+  const subscriptions = await WebhookSubscription.find({
+    isActive: true,
+    events: { $in: [event, '*'] },
+    ...(contractId
+      ? { $or: [{ contractIds: { $size: 0 } }, { contractIds: contractId }] }
+      : { contractIds: { $size: 0 } })
+  }).select('_id');
+
+  if (subscriptions.length === 0) return [];
+
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const payload = WEBHOOK_PAYLOADS[event](data);
+  return WebhookDelivery.insertMany(
+    subscriptions.map(subscription => buildDelivery(subscription, eventId, event, payload, contractId))
+  );
+};
+
+// Queue a ping for one subscription, regardless of the events it registered for
+const enqueueTestDelivery = (subscription, user) => {
+  const eventId = `evt_${crypto.randomUUID()}`;
+  return WebhookDelivery.create(buildDelivery(subscription, eventId, TEST_EVENT, {
+    message: 'Test delivery',
+    subscriptionId: subscription._id,
+    requestedBy: user.username
+  }, null));
+};
+
+// POST the delivery body; resolves to the response status, throws on transport errors
+const send = async (subscription, delivery) => {
+  // Checked on every send: the name may have been re-pointed since registration
+  const targetError = await webhookTargetError(subscription.url);
+  if (targetError) {
+    throw new Error(targetError);
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const response = await fetch(subscription.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PBR-Webhooks/1.0',
+      'X-PBR-Event': delivery.event,
+      'X-PBR-Event-Id': delivery.eventId,
+      'X-PBR-Delivery': delivery._id.toString(),
+      'X-PBR-Timestamp': timestamp,
+      'X-PBR-Signature': `sha256=${signPayload(subscription.secret, timestamp, delivery.body)}`
+    },
+    body: delivery.body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+
+  // Drain the body so the connection can be reused; its content is not kept
+  await response.arrayBuffer().catch(() => {});
+  return response.status;
+};
+
+// Send one leased delivery and record the outcome
+const deliver = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  const started = Date.now();
+  let responseStatus;
+  let errorMessage;
+
+  if (!subscription || !subscription.isActive) {
+    errorMessage = 'Subscription deleted or disabled';
+  } else {
+    try {
+      responseStatus = await send(subscription, delivery);
+      if (responseStatus < 200 || responseStatus >= 300) {
+        errorMessage = `Endpoint responded with HTTP ${responseStatus}`;
+      }
+    } catch (error) {
+      errorMessage = error.name === 'TimeoutError'
+        ? `Endpoint did not respond within ${REQUEST_TIMEOUT}ms`
+        : error.message;
+    }
+  }
+
+  const logEntry = {
+    attempt: delivery.attempts,
+    responseStatus,
+    durationMs: Date.now() - started,
+    message: errorMessage || 'Delivered'
+  };
+
+  if (!errorMessage) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: { status: 'DELIVERED', deliveredAt: new Date(), responseStatus },
+        $unset: { lockedUntil: 1, lastError: 1 },
+        $push: { attemptLog: logEntry }
+      }
+    );
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { $set: { lastDeliveryAt: new Date() } });
+    return true;
+  }
+
+  // A missing or disabled subscription will not recover by retrying
+  const dead = !subscription || !subscription.isActive || delivery.attempts >= delivery.maxAttempts;
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: dead ? 'DEAD' : 'PENDING',
+        nextAttemptAt: new Date(Date.now() + backoffDelay(delivery.attempts, BASE_BACKOFF, MAX_BACKOFF)),
+        lastError: errorMessage,
+        ...(responseStatus ? { responseStatus } : {})
+      },
+      $unset: { lockedUntil: 1 },
+      $push: { attemptLog: logEntry }
+    }
+  );
+
+  if (subscription) {
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { $set: { lastFailureAt: new Date() } });
+  }
+
+  if (dead) {
+    console.error(`Webhook delivery ${delivery._id} moved to dead-letter after ${delivery.attempts} attempts`);
+  }
+  return false;
+};
+
+const queue = createLeasedQueue({
+  Model: WebhookDelivery,
+  name: 'Webhook',
+  leaseMs: LEASE_MS,
+  pollInterval: POLL_INTERVAL,
+  batchSize: BATCH_SIZE,
+  deliver
+});
+
+// Drain up to one batch of due deliveries
+const processWebhooks = queue.drain;
+
+// Queue any finished or failed delivery for an immediate new attempt.
+// The attempt log is kept so the history of earlier attempts stays visible.
+const redeliver = (id) => {
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: { $in: ['DEAD', 'DELIVERED', 'PENDING'] } },
+    {
+      $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { lastError: 1, lockedUntil: 1, deliveredAt: 1 }
+    },
+    { new: true }
+  );
+};
+
+const startWebhookWorker = queue.start;
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  generateWebhookSecret,
+  signPayload,
+  webhookTargetError,
+  eventContractId,
+  enqueueWebhookEvent,
+  enqueueTestDelivery,
+  processWebhooks,
+  redeliver,
+  startWebhookWorker
+};
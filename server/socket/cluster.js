@@ -0,0 +1,85 @@
+// Multi-node Socket.IO: a Redis pub/sub adapter relays room emits between API
+// nodes, so io.to(room).emit(), the broadcastTo* helpers and socketsLeave()
+// reach sockets connected to any node. Presence is read live from every node's
+// sockets through the same adapter; nothing is stored.
+
+const os = require('os');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// Identifies this API node in presence listings
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}:${process.pid}`;
+const SOCKET_REDIS_ADAPTER = process.env.SOCKET_REDIS_ADAPTER !== 'false';
+const PRESENCE_TIMEOUT_MS = parseInt(process.env.PRESENCE_TIMEOUT_MS || '5000');
+
+const MONITOR_ROOMS = ['contract:monitor', 'shipment:monitor'];
+
+let adapterMode = 'memory';
+
+// Attach the Redis adapter using a subscriber duplicated from the shared client.
+// With SOCKET_REDIS_ADAPTER=false the node keeps the in-memory adapter (single node only).
+const setupRedisAdapter = (io, redisClient) => {
+  if (!SOCKET_REDIS_ADAPTER) return adapterMode;
+
+  const subClient = redisClient.duplicate();
+
+  subClient.on('error', (err) => {
+    console.error('Redis Subscriber Error:', err);
+  });
+
+  subClient.connect().catch(console.error);
+
+  io.adapter(createAdapter(redisClient, subClient, {
+    key: 'pbr:socket.io',
+    requestsTimeout: PRESENCE_TIMEOUT_MS
+  }));
+
+  adapterMode = 'redis';
+  return adapterMode;
+};
+
+const getAdapterMode = () => adapterMode;
+
+// Fold sockets (local or on other nodes) into one entry per user
+const groupByUser = (sockets) => {
+  const users = new Map();
+
+  for (const socket of sockets) {
+    const { userId, username, role, node, connectedAt } = socket.data;
+    if (!userId) continue;
+
+    if (!users.has(userId)) {
+      users.set(userId, { userId, username, role, connections: [], contracts: new Set(), monitors: new Set() });
+    }
+
+    const entry = users.get(userId);
+    entry.connections.push({ socketId: socket.id, node, connectedAt, address: socket.handshake.address });
+
+    for (const room of socket.rooms) {
+      if (MONITOR_ROOMS.includes(room)) {
+        entry.monitors.add(room);
+      } else if (room.startsWith('contract:')) {
+        entry.contracts.add(room.slice('contract:'.length));
+      }
+    }
+  }
+
+  return [...users.values()]
+    .map(entry => ({ ...entry, contracts: [...entry.contracts].sort(), monitors: [...entry.monitors] }))
+    .sort((a, b) => a.username.localeCompare(b.username));
+};
+
+// Every connected user across the cluster with their connections and watched rooms
+const listPresence = async (io) => groupByUser(await io.fetchSockets());
+
+// Users watching one contract's room across the cluster
+const contractWatchers = async (io, contractId) => {
+  return groupByUser(await io.in(`contract:${contractId}`).fetchSockets());
+};
+
+module.exports = {
+  NODE_ID,
+  setupRedisAdapter,
+  getAdapterMode,
+  listPresence,
+  contractWatchers
+};
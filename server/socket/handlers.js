@@ -1,6 +1,45 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { JWT_SECRET } = require('../middleware/auth');
+const Contract = require('../models/Contract');
+const { JWT_SECRET, rejectTokenUser } = require('../middleware/auth');
+const { checkRateLimit } = require('../middleware/rateLimit');
+const { attachRole, rolesWithPermission, isAssignedScope, canAccessContractId } = require('../services/accessService');
+const { processShipment, publishShipment } = require('../services/shipmentService');
+const { normalizeLineItems, lineItemsTotal, isValidLineItems } = require('../services/skuService');
+const { recordAudit } = require('../services/auditService');
+const { eventContractId, enqueueWebhookEvent } = require('../services/webhookService');
+const { NODE_ID } = require('./cluster');
+
+// Besides the contract and monitor rooms, these events also reach the role rooms
+// of unrestricted roles holding the permission, so they can act on them
+const ROLE_AUDIENCES = {
+  'shipment:pending': 'approve_shipments',
+  'contract:threshold_exceeded': 'unlock_contracts',
+  'contract:lock_changed': 'unlock_contracts',
+  'contract:renewal_due': 'update'
+};
+
+// Answers for shipment errors thrown by processShipment
+const SHIPMENT_ERRORS = {
+  LOCK_SERVICE_UNAVAILABLE: 'Locking service unavailable. Please try again shortly.',
+  CONCURRENT_SHIPMENT: 'Another shipment is being processed for this contract. Please try again.',
+  LOCK_LOST: 'Shipment lock expired before commit; nothing was recorded. Please try again.',
+  CONTRACT_NOT_FOUND: 'Contract not found',
+  CONTRACT_LOCKED: 'Contract is locked. No further shipments allowed.',
+  ...Contract.TERM_ERRORS,
+  ...Contract.LINE_ITEM_ERRORS,
+  ...Contract.HIERARCHY_ERRORS
+};
+
+// shipment:* events go to shipment monitors; contract, reservation and return events to contract monitors
+const monitorRoom = (event) => (event.startsWith('shipment:') ? 'shipment:monitor' : 'contract:monitor');
+
+// The audit service expects a request; describe the socket's handshake as one
+const auditRequest = (socket) => ({
+  user: socket.user,
+  ip: socket.handshake.address,
+  headers: socket.handshake.headers
+});
 
 const setupSocketHandlers = (io, redisClient) => {
   // Authentication middleware for Socket.IO
@@ -13,16 +52,35 @@ const setupSocketHandlers = (io, redisClient) => {
       }
 
       const decoded = jwt.verify(token, JWT_SECRET);
+
+      // Refresh and MFA challenge tokens never open a socket
+      if (decoded.type) {
+        return next(new Error('Authentication error: Invalid token'));
+      }
       const user = await User.findById(decoded.userId).select('-password -refreshTokens');
-      
-      if (!user || !user.isActive) {
-        return next(new Error('Authentication error: Invalid user'));
+
+      const rejected = rejectTokenUser(user, decoded.iat);
+      if (rejected) {
+        return next(new Error(`Authentication error: ${rejected.error}`));
       }
 
+      await attachRole(user);
+
+      socket.user = user;
+      socket.tokenIssuedAt = decoded.iat;
       socket.userId = user._id.toString();
       socket.userRole = user.role;
       socket.username = user.username;
-      
+
+      // Shared with other nodes through the adapter, for the presence API
+      socket.data = {
+        userId: socket.userId,
+        username: user.username,
+        role: user.role,
+        node: NODE_ID,
+        connectedAt: new Date().toISOString()
+      };
+
       next();
     } catch (error) {
       next(new Error('Authentication error: Invalid token'));
@@ -38,16 +96,30 @@ const setupSocketHandlers = (io, redisClient) => {
     // Join role-based rooms
     socket.join(`role:${socket.userRole}`);
     
-    // Join admin room if user is admin
-    if (socket.userRole === 'admin') {
+    // Join admin room if user can manage users
+    if (socket.user.hasPermission('manage_users')) {
       socket.join('admin');
     }
 
     // Handle joining contract-specific rooms
-    socket.on('join:contract', (contractId) => {
-      if (contractId) {
+    // Only contracts the user may read, per their role and the contract's access list
+    socket.on('join:contract', async (contractId) => {
+      if (!contractId) return;
+
+      try {
+        if (!(await canAccessContractId(socket.user, String(contractId), 'read'))) {
+          socket.emit('error', {
+            error: 'No access to this contract',
+            code: 'CONTRACT_ACCESS_DENIED',
+            contractId
+          });
+          return;
+        }
+
         socket.join(`contract:${contractId}`);
         console.log(`User ${socket.username} joined contract room: ${contractId}`);
+      } catch (error) {
+        console.error('Join contract room error:', error);
       }
     });
 
@@ -59,54 +131,135 @@ const setupSocketHandlers = (io, redisClient) => {
       }
     });
 
-    // Handle real-time shipment requests
-    socket.on('shipment:request', async (data) => {
+    // Handle real-time shipment requests: the same atomic shipment as POST /api/shipments.
+    // The outcome is returned through the ack callback as { success, ... }.
+    socket.on('shipment:request', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const fail = (code, error, extra = {}) => {
+        reply({ success: false, error, code, ...extra });
+        socket.emit('shipment:error', { error, code, ...extra });
+      };
+
       try {
-        // Validate the shipment request data
-        const { contractId, batteriesShipped } = data;
-        
-        if (!contractId || !batteriesShipped || batteriesShipped <= 0) {
-          socket.emit('shipment:error', {
-            error: 'Invalid shipment data',
-            code: 'INVALID_DATA'
-          });
-          return;
+        const { contractId, batteriesShipped, notes, externalReference } = data || {};
+
+        // Line items, when given, set the total; a batteriesShipped sent alongside them must agree
+        if (data?.lineItems !== undefined && !isValidLineItems(data.lineItems)) {
+          return fail('INVALID_DATA', 'Invalid line items');
+        }
+        const lineItems = normalizeLineItems(data?.lineItems);
+        const quantity = lineItems.length > 0 ? lineItemsTotal(lineItems) : Number(batteriesShipped);
+
+        if (lineItems.length > 0 && batteriesShipped !== undefined && Number(batteriesShipped) !== quantity) {
+          return fail('LINE_ITEMS_MISMATCH', `Line items add up to ${quantity}, not ${batteriesShipped}`);
+        }
+
+        if (!contractId || typeof contractId !== 'string' || !Number.isInteger(quantity) || quantity <= 0 ||
+          (notes !== undefined && typeof notes !== 'string') ||
+          (externalReference !== undefined && (typeof externalReference !== 'string' || externalReference.length > 255))) {
+          return fail('INVALID_DATA', 'Invalid shipment data');
+        }
+
+        // Pick up deactivation, password, lockout and role changes made since the socket connected
+        const user = await User.findById(socket.userId).select('-password -refreshTokens');
+        const rejected = rejectTokenUser(user, socket.tokenIssuedAt);
+        if (rejected) {
+          return fail('INVALID_USER', rejected.error);
         }
+        await attachRole(user);
+        socket.user = user;
 
-        // Emit to contract room that a shipment is being processed
+        if (!(await canAccessContractId(user, contractId, 'create'))) {
+          return fail('CONTRACT_ACCESS_DENIED', 'No access to create shipments on this contract', { contractId });
+        }
+
+        const limited = await checkRateLimit('shipmentCreate', redisClient, user);
+        if (limited && !limited.allowed) {
+          return fail('RATE_LIMITED', 'Too many requests. Please slow down.', { retryAfter: limited.resetSeconds });
+        }
+
+        // Let other watchers of the contract know a shipment is under way
         socket.to(`contract:${contractId}`).emit('shipment:processing', {
           contractId,
-          batteriesShipped,
-          initiatedBy: socket.username,
+          batteriesShipped: quantity,
+          lineItems,
+          initiatedBy: user.username,
           timestamp: new Date()
         });
 
-        console.log(`Shipment request from ${socket.username}: ${batteriesShipped} batteries for contract ${contractId}`);
-        
+        const result = await processShipment({
+          redisClient,
+          contractId,
+          batteriesShipped: quantity,
+          lineItems,
+          notes,
+          externalReference: externalReference?.trim(),
+          user
+        });
+
+        const { shipment, status } = result;
+
+        await publishShipment(io, result, user);
+
+        await recordAudit(auditRequest(socket), {
+          action: 'shipment.created',
+          category: 'shipment',
+          targetType: 'Shipment',
+          targetId: shipment.shipmentId,
+          after: { contractId, batteriesShipped: quantity, lineItems, status, blockReason: shipment.blockReason },
+          metadata: { contractLocked: status === 'BLOCKED' && result.contract.isLocked, channel: 'socket' }
+        });
+
+        reply({
+          success: true,
+          status,
+          shipment,
+          warning: status === 'BLOCKED'
+            ? 'Shipment blocked due to threshold exceeded'
+            : status === 'PENDING' ? 'Shipment exceeds threshold and requires manager approval' : null
+        });
+
       } catch (error) {
+        if (SHIPMENT_ERRORS[error.message]) {
+          return fail(error.message, SHIPMENT_ERRORS[error.message]);
+        }
+
         console.error('Shipment request error:', error);
-        socket.emit('shipment:error', {
-          error: 'Failed to process shipment request',
-          code: 'PROCESSING_ERROR'
-        });
+        fail('PROCESSING_ERROR', 'Failed to process shipment request');
       }
     });
 
     // Handle contract monitoring subscription
     socket.on('monitor:contracts', () => {
+      if (isAssignedScope(socket.user)) {
+        socket.emit('error', {
+          error: 'Monitoring every contract requires an unrestricted role',
+          code: 'CONTRACT_ACCESS_DENIED'
+        });
+        return;
+      }
+
       socket.join('contract:monitor');
       console.log(`User ${socket.username} subscribed to contract monitoring`);
     });
 
     // Handle shipment monitoring subscription
     socket.on('monitor:shipments', () => {
+      if (isAssignedScope(socket.user)) {
+        socket.emit('error', {
+          error: 'Monitoring every shipment requires an unrestricted role',
+          code: 'CONTRACT_ACCESS_DENIED'
+        });
+        return;
+      }
+
       socket.join('shipment:monitor');
       console.log(`User ${socket.username} subscribed to shipment monitoring`);
     });
 
     // Handle admin actions
     socket.on('admin:action', (data) => {
-      if (socket.userRole !== 'admin') {
+      if (!socket.user.hasPermission('manage_users')) {
         socket.emit('error', {
           error: 'Insufficient permissions',
           code: 'PERMISSION_DENIED'
@@ -173,11 +326,38 @@ const setupSocketHandlers = (io, redisClient) => {
     });
   };
 
+  // Publish a domain event to the rooms allowed to see it and queue it for webhook subscribers:
+  // the contract's room, the matching monitor room and, for ROLE_AUDIENCES, role rooms.
+  // A socket in several of these rooms gets the event once. Role lookup and webhook
+  // queueing never fail the caller; errors are only logged.
+  const publish = (event, data) => {
+    const contractId = eventContractId(data);
+    const rooms = contractId ? [`contract:${contractId}`, monitorRoom(event)] : [monitorRoom(event)];
+
+    io.to(rooms).emit(event, data);
+
+    const permission = ROLE_AUDIENCES[event];
+    if (permission) {
+      rolesWithPermission(permission)
+        .then(roles => {
+          if (roles.length > 0) {
+            io.to(roles.map(role => `role:${role}`)).except(rooms).emit(event, data);
+          }
+        })
+        .catch(error => console.error(`Failed to route ${event} to role rooms:`, error));
+    }
+
+    enqueueWebhookEvent(event, data).catch(error => {
+      console.error(`Failed to queue webhooks for ${event}:`, error);
+    });
+  };
+
   // Export broadcast functions for use in other modules
   io.broadcastSystemNotification = broadcastSystemNotification;
   io.broadcastToContract = broadcastToContract;
   io.broadcastToRole = broadcastToRole;
   io.broadcastToAdmins = broadcastToAdmins;
+  io.publish = publish;
 
   console.log('Socket.IO handlers setup complete');
 };